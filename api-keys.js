@@ -0,0 +1,93 @@
+const ApiKeyStore = require('./services/apiKeyStore');
+
+const USAGE = `Usage:
+  npm run api-keys -- list
+  npm run api-keys -- create <name> [--tier keyed] [--rate-limit <per minute>] [--daily-quota <requests>]
+  npm run api-keys -- revoke <id>`;
+
+function parseOptions(args) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[++i];
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  return { options, positional };
+}
+
+function parseCount(value, flag, minimum) {
+  if (value === undefined) return undefined;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < minimum) {
+    throw new Error(`${flag} must be an integer of at least ${minimum}`);
+  }
+  return number;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const { options, positional } = parseOptions(args);
+  const store = new ApiKeyStore();
+
+  switch (command) {
+    case 'list': {
+      const keys = store.list();
+      if (keys.length === 0) {
+        console.log(`No API keys in ${store.filePath}`);
+        return;
+      }
+
+      for (const record of keys) {
+        const limits = [
+          record.rateLimit !== undefined && `${record.rateLimit}/min`,
+          record.dailyQuota !== undefined && `${record.dailyQuota}/day`
+        ].filter(Boolean).join(', ');
+        console.log(`${record.id}  ${record.name || '-'}  ${record.tier || 'keyed'}${limits ? ` (${limits})` : ''}  ${record.createdAt || ''}`);
+      }
+      return;
+    }
+
+    case 'create': {
+      const [name] = positional;
+      if (!name) throw new Error('A name is required');
+
+      const { key, record } = await store.create({
+        name,
+        tier: options.tier,
+        // A quota of 0 means no quota; a rate limit of 0 would refuse everything
+        rateLimit: parseCount(options['rate-limit'], '--rate-limit', 1),
+        dailyQuota: parseCount(options['daily-quota'], '--daily-quota', 0)
+      });
+
+      console.log(`Created API key ${record.id} for ${name}`);
+      console.log(`Key (shown only once): ${key}`);
+      return;
+    }
+
+    case 'revoke': {
+      const [id] = positional;
+      if (!id) throw new Error('An id is required');
+
+      if (!(await store.remove(id))) {
+        throw new Error(`No API key with id ${id}`);
+      }
+      console.log(`Revoked API key ${id}`);
+      return;
+    }
+
+    default:
+      console.log(USAGE);
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
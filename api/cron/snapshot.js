@@ -0,0 +1,4 @@
+const { createCronHandler } = require('../../serverless');
+
+// Run by Vercel Cron (see vercel.json)
+module.exports = createCronHandler('snapshot');
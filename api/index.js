@@ -0,0 +1,2 @@
+// Every /api route on Vercel (see the rewrite in vercel.json)
+module.exports = require('../serverless').app;
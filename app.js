@@ -0,0 +1,992 @@
+// Loaded first: invalid configuration stops the process before anything starts
+const { config, getPublicConfig } = require('./config');
+const crypto = require('crypto');
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const { version } = require('./package.json');
+const BitcoinDataService = require('./services/bitcoinDataService');
+const HistoryStore = require('./services/historyStore');
+const SnapshotScheduler = require('./services/snapshotScheduler');
+const PoolTracker = require('./services/poolTracker');
+const ChainWatcher = require('./services/chainWatcher');
+const AlertStore = require('./services/alertStore');
+const AlertEngine = require('./services/alertEngine');
+const { RULE_TYPES, validateRule } = require('./services/alertRules');
+const PushSubscriptionStore = require('./services/pushSubscriptionStore');
+const PushNotifier = require('./services/pushNotifier');
+const { ResponseCache } = require('./services/cache');
+const ApiRoutes = require('./services/apiRoutes');
+const HealthCheck = require('./services/healthCheck');
+const PriceService = require('./services/priceService');
+const { FEE_TARGETS, estimateFees } = require('./services/feeEstimator');
+const ApiKeyStore = require('./services/apiKeyStore');
+const RateLimiter = require('./services/rateLimiter');
+const openapiSpec = require('./services/openapi');
+const ApiValidator = require('./services/apiValidator');
+const { ERROR_CODES, createEnvelope, createError } = require('./services/apiEnvelope');
+const metrics = require('./services/metrics');
+const { logger, runWithRequestId } = require('./services/logger');
+
+/**
+ * The Express app and the services behind it, built without starting
+ * anything. server.js listens on a port and runs the schedules; serverless.js
+ * serves the same app from Vercel and AWS Lambda.
+ */
+const app = express();
+
+// Behind a proxy or load balancer, rate limit by the client's address rather than the proxy's
+// (TRUST_PROXY: true, a hop count, or addresses/subnets as Express accepts them)
+if (config.server.trustProxy) {
+  const { trustProxy } = config.server;
+  if (trustProxy === 'true') {
+    app.set('trust proxy', true);
+  } else {
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+  }
+}
+
+// Initialize Bitcoin data service
+const bitcoinService = new BitcoinDataService();
+
+// Historical snapshots persisted to disk
+const historyStore = new HistoryStore();
+const snapshotScheduler = new SnapshotScheduler(bitcoinService, historyStore);
+
+// User-defined alert rules, evaluated on a schedule
+const alertStore = new AlertStore();
+const alertEngine = new AlertEngine(bitcoinService, alertStore, getCachedData);
+
+// Pushes changes to /api/stream subscribers
+const chainWatcher = new ChainWatcher(bitcoinService);
+
+// Web Push notifications for subscribed browsers
+const pushSubscriptions = new PushSubscriptionStore();
+const pushNotifier = new PushNotifier(pushSubscriptions, chainWatcher);
+
+// Optional API keys and per-client rate limits
+const apiKeys = new ApiKeyStore();
+const rateLimiter = new RateLimiter();
+const API_KEYS_REQUIRED = config.apiKeys.required;
+// Left open so health checks never get throttled
+const RATE_LIMIT_EXEMPT = ['/health', '/health/live', '/health/ready', '/v2/health'];
+
+// Query parameters are checked against the OpenAPI document; in development
+// responses are too, so shape drift shows up in the log
+const apiValidator = new ApiValidator(openapiSpec);
+const VALIDATE_RESPONSES = config.server.env === 'development';
+
+// Set once the server starts shutting down (see drain())
+let shuttingDown = false;
+
+// Open /api/stream responses -> cleanup, so shutdown can end them
+const streams = new Map();
+
+// Middleware
+
+// Every request gets an ID (the caller's X-Request-Id if it looks sane) that
+// is echoed back, attached to every log line written while handling it and
+// passed on to upstream providers
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = Date.now();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  runWithRequestId(requestId, () => {
+    res.on('finish', () => {
+      logger.info('Request completed', {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt
+      });
+    });
+
+    next();
+  });
+});
+
+// Request count and latency per route. Requests no route handled (static
+// files, 404s) share one label to keep the number of series bounded.
+app.use((req, res, next) => {
+  const end = metrics.httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? req.baseUrl + req.route.path : 'unmatched',
+      status: res.statusCode
+    };
+    end(labels);
+    metrics.httpRequests.inc(labels);
+  });
+
+  next();
+});
+
+// While shutting down, have clients open a new connection for their next
+// request (to another instance) so this one can close once responses are sent
+app.use((req, res, next) => {
+  if (shuttingDown) res.set('Connection', 'close');
+  next();
+});
+
+app.use(cors({
+  exposedHeaders: ['X-Request-Id', 'ETag', 'Retry-After', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
+}));
+app.use(express.json());
+app.use(express.static(path.join(__dirname, 'public')));
+
+// API responses are revalidated by default (Express adds a weak ETag and
+// answers If-None-Match with a 304); cached routes override this in sendCached
+app.use('/api', (req, res, next) => {
+  res.set('Cache-Control', 'no-cache');
+  next();
+});
+
+function isV2Request(req) {
+  return req.originalUrl === '/api/v2' || req.originalUrl.startsWith('/api/v2/') || req.originalUrl.startsWith('/api/v2?');
+}
+
+/**
+ * Send an error in the shape the requested API version uses: { error, message }
+ * for v1, { error: { code, message } } for v2. code is one of ERROR_CODES.
+ */
+function sendApiError(req, res, code, error, message) {
+  res.status(ERROR_CODES[code]);
+  return res.json(isV2Request(req) ? createError(code, message) : { error, message });
+}
+
+function getApiKey(req) {
+  if (req.get('X-API-Key')) return req.get('X-API-Key');
+
+  const authorization = req.get('Authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length);
+  }
+
+  // EventSource can't set headers, so /api/stream clients pass it in the query
+  return typeof req.query.api_key === 'string' ? req.query.api_key : null;
+}
+
+// Identify the caller and take a token from their bucket: per key for keyed
+// requests, per IP otherwise
+app.use('/api', (req, res, next) => {
+  if (RATE_LIMIT_EXEMPT.includes(req.path)) return next();
+
+  const key = getApiKey(req);
+  const record = apiKeys.find(key);
+
+  if (key && !record) {
+    return sendApiError(req, res, 'INVALID_API_KEY', 'Invalid API key', 'The API key is not recognised or has been revoked');
+  }
+
+  if (!record && API_KEYS_REQUIRED) {
+    return sendApiError(req, res, 'API_KEY_REQUIRED', 'API key required', 'Send an API key in the X-API-Key header');
+  }
+
+  const policy = record ? rateLimiter.getPolicy(record.tier, record) : rateLimiter.getPolicy('anonymous');
+  const result = rateLimiter.consume(record ? `key:${record.id}` : `ip:${req.ip}`, policy);
+  const quotaExceeded = result.reason === 'quota';
+
+  res.set({
+    'RateLimit-Policy': [`${policy.limit};w=60`, policy.dailyQuota > 0 && `${policy.dailyQuota};w=86400`].filter(Boolean).join(', '),
+    'RateLimit-Limit': quotaExceeded ? policy.dailyQuota : policy.limit,
+    'RateLimit-Remaining': quotaExceeded ? 0 : result.remaining,
+    'RateLimit-Reset': quotaExceeded ? result.quotaReset : result.reset
+  });
+
+  req.apiClient = {
+    key: record ? { id: record.id, name: record.name || null } : null,
+    tier: policy.tier,
+    policy,
+    usage: result
+  };
+
+  if (!result.allowed) {
+    res.set('Retry-After', String(result.retryAfter));
+    return sendApiError(req, res, quotaExceeded ? 'QUOTA_EXCEEDED' : 'RATE_LIMITED', 'Too many requests', quotaExceeded
+      ? `Daily quota of ${policy.dailyQuota} requests used up, try again in ${result.retryAfter} seconds`
+      : `Rate limit of ${policy.limit} requests per minute exceeded, try again in ${result.retryAfter} seconds`);
+  }
+
+  next();
+});
+
+app.use('/api', (req, res, next) => {
+  const operation = apiValidator.findOperation(req.method, req.baseUrl + req.path);
+  if (!operation) return next();
+
+  const problems = apiValidator.validateQuery(operation, req.query);
+  if (problems.length > 0) {
+    return sendApiError(req, res, 'INVALID_PARAMETER', 'Invalid query parameters', problems.join('; '));
+  }
+
+  if (VALIDATE_RESPONSES) {
+    const json = res.json.bind(res);
+    res.json = body => {
+      const mismatches = apiValidator.validateResponse(operation, res.statusCode, body);
+      if (mismatches.length > 0) {
+        logger.warn("Response doesn't match the OpenAPI schema", { method: req.method, path: req.originalUrl, mismatches });
+      }
+      return json(body);
+    };
+  }
+
+  next();
+});
+
+// Cache for API responses, in memory or Redis (CACHE_BACKEND)
+const cache = new ResponseCache();
+
+// Routes shared with the Netlify functions (services/apiRoutes.js)
+const apiRoutes = new ApiRoutes(bitcoinService, cache);
+
+function getCachedData(key, fetcher) {
+  return apiRoutes.getCachedData(key, fetcher);
+}
+
+/**
+ * Send a cached entry (or body built from it) with validators and
+ * Cache-Control. With ETag and Last-Modified set, Express answers matching
+ * If-None-Match / If-Modified-Since requests with a 304.
+ */
+function sendCached(res, entry, body = entry.value) {
+  res.set(apiRoutes.cacheHeaders(entry));
+  res.json(body);
+}
+
+function sendRouteResponse(res, { statusCode, headers, body }) {
+  res.status(statusCode).set(headers).json(body);
+}
+
+// Everything cached describes the old tip once a new block arrives
+chainWatcher.on('block', block => {
+  if (block.previousHeight !== null) {
+    cache.clear();
+  }
+});
+
+// API Routes
+
+// Mining summary, current stats, daily stats, remaining supply, supply
+// schedule, difficulty and mempool: cached and without parameters
+for (const name of ApiRoutes.DATA_ROUTES) {
+  app.get(`/api/${name}`, async (req, res) => {
+    sendRouteResponse(res, await apiRoutes.getData(name));
+  });
+}
+
+// Estimate when a block height will be reached
+app.get('/api/eta', async (req, res) => {
+  const height = Number(req.query.height);
+
+  if (!Number.isInteger(height) || height < 0) {
+    return res.status(400).json({
+      error: 'Invalid height',
+      message: 'height must be a non-negative integer'
+    });
+  }
+
+  try {
+    const cacheKey = `eta:${height}`;
+    const entry = await getCachedData(cacheKey, () => bitcoinService.getHeightEstimate(height));
+
+    sendCached(res, entry);
+  } catch (error) {
+    logger.error('Error estimating block height ETA', { error });
+    res.status(500).json({ 
+      error: 'Failed to estimate block height ETA',
+      message: error.message 
+    });
+  }
+});
+
+// Recommend fee rates from the mempool's fee histogram. Without a provider
+// that reports one there is nothing to estimate from, hence 503.
+app.get('/api/fees/estimate', async (req, res) => {
+  // Checked against FEE_TARGETS by the OpenAPI validator
+  const target = req.query.target === undefined ? null : Number(req.query.target);
+
+  let entry;
+  try {
+    entry = await getCachedData('fee-histogram', () => bitcoinService.getFeeHistogramData());
+  } catch (error) {
+    logger.error('Error estimating fees', { error });
+    return res.status(503).json({
+      error: 'Fee estimates unavailable',
+      message: error.message
+    });
+  }
+
+  sendCached(res, entry, estimateFees(entry.value, target === null ? FEE_TARGETS : [target]));
+});
+
+// Get blocks mined and hash rate share per mining pool
+app.get('/api/pools', async (req, res) => {
+  const window = req.query.window || '24h';
+
+  if (!PoolTracker.WINDOWS.includes(window)) {
+    return res.status(400).json({
+      error: 'Invalid window',
+      message: `window must be one of: ${PoolTracker.WINDOWS.join(', ')}`
+    });
+  }
+
+  try {
+    const cacheKey = `pools:${window}`;
+    const entry = await getCachedData(cacheKey, () => bitcoinService.getPoolDistribution(window));
+
+    sendCached(res, entry);
+  } catch (error) {
+    logger.error('Error fetching pool distribution', { error });
+    res.status(500).json({ 
+      error: 'Failed to fetch pool distribution',
+      message: error.message 
+    });
+  }
+});
+
+// Get historical time series for a metric
+app.get('/api/history', (req, res) => {
+  const { metric, from, to } = req.query;
+
+  if (!HistoryStore.METRICS.includes(metric)) {
+    return res.status(400).json({
+      error: 'Invalid metric',
+      message: `metric must be one of: ${HistoryStore.METRICS.join(', ')}`
+    });
+  }
+
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return res.status(400).json({
+      error: 'Invalid date range',
+      message: 'from and to must be ISO 8601 dates'
+    });
+  }
+
+  try {
+    res.json({
+      metric,
+      from: from || null,
+      to: to || null,
+      points: historyStore.query(metric, from, to)
+    });
+  } catch (error) {
+    logger.error('Error reading history', { error });
+    res.status(500).json({
+      error: 'Failed to read history',
+      message: error.message
+    });
+  }
+});
+
+// Current price and price history, from the cache and history store
+const priceService = new PriceService({ bitcoinService, historyStore, getCachedData });
+
+// A price response, with validators when it came from the cache
+function sendPrice(res, { body, entry }) {
+  if (entry) return sendCached(res, entry, body);
+  res.json(body);
+}
+
+// Get the current price in a currency (checked by the OpenAPI validator)
+app.get('/api/price', async (req, res) => {
+  const currency = req.query.currency || 'usd';
+
+  try {
+    sendPrice(res, await priceService.getPrice(currency));
+  } catch (error) {
+    logger.error('Error fetching price', { error });
+    res.status(500).json({
+      error: 'Failed to fetch Bitcoin price',
+      message: error.message
+    });
+  }
+});
+
+// Get OHLC candles from the recorded price history
+app.get('/api/price/history', async (req, res) => {
+  const { currency = 'usd', range = '30d', interval = '1d' } = req.query;
+
+  try {
+    sendPrice(res, await priceService.getHistory(currency, range, interval));
+  } catch (error) {
+    logger.error('Error building price history', { error });
+    res.status(500).json({
+      error: 'Failed to build price history',
+      message: error.message
+    });
+  }
+});
+
+// Alert rules make the server call out to webhooks, so only keyed callers
+// may see or change them
+app.use('/api/alerts', (req, res, next) => {
+  if (req.apiClient && req.apiClient.key) return next();
+  sendApiError(req, res, 'API_KEY_REQUIRED', 'API key required', 'Alert rules can only be managed with an API key');
+});
+
+app.get('/api/alerts', (req, res) => {
+  try {
+    res.json({
+      rules: alertStore.list(),
+      types: Object.fromEntries(Object.entries(RULE_TYPES).map(([type, ruleType]) => [type, {
+        description: ruleType.description,
+        params: ruleType.params
+      }])),
+      lastRun: alertEngine.lastRun
+    });
+  } catch (error) {
+    logger.error('Error reading alert rules', { error });
+    res.status(500).json({
+      error: 'Failed to read alert rules',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/alerts/:id', (req, res) => {
+  const rule = alertStore.get(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `No alert rule with id ${req.params.id}`
+    });
+  }
+
+  res.json(rule);
+});
+
+app.post('/api/alerts', async (req, res) => {
+  const { errors, rule } = validateRule(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid alert rule',
+      message: errors.join('; ')
+    });
+  }
+
+  try {
+    res.status(201).json(await alertStore.create(rule));
+  } catch (error) {
+    logger.error('Error creating alert rule', { error });
+    res.status(500).json({
+      error: 'Failed to create alert rule',
+      message: error.message
+    });
+  }
+});
+
+app.put('/api/alerts/:id', async (req, res) => {
+  const { errors, rule } = validateRule(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid alert rule',
+      message: errors.join('; ')
+    });
+  }
+
+  try {
+    const updated = await alertStore.update(req.params.id, rule);
+
+    if (!updated) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `No alert rule with id ${req.params.id}`
+      });
+    }
+
+    res.json(updated);
+  } catch (error) {
+    logger.error('Error updating alert rule', { error });
+    res.status(500).json({
+      error: 'Failed to update alert rule',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/alerts/:id', async (req, res) => {
+  try {
+    if (!(await alertStore.remove(req.params.id))) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `No alert rule with id ${req.params.id}`
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error deleting alert rule', { error });
+    res.status(500).json({
+      error: 'Failed to delete alert rule',
+      message: error.message
+    });
+  }
+});
+
+// Web Push
+app.get('/api/push/public-key', (req, res) => {
+  try {
+    res.json({ publicKey: pushNotifier.getPublicKey() });
+  } catch (error) {
+    logger.error('Error loading VAPID keys', { error });
+    res.status(500).json({
+      error: 'Push notifications unavailable',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/push/subscribe', async (req, res) => {
+  const { subscription, oldKeys } = req.body || {};
+  // The replaced subscription is only dropped when the caller sends its keys;
+  // otherwise it stays until the push service reports it gone
+  const oldEndpoint = pushSubscriptions.hasKeys(req.body && req.body.oldEndpoint, oldKeys) ? req.body.oldEndpoint : undefined;
+  // A renewed subscription keeps the preferences of the one it replaces
+  const previous = pushSubscriptions.get(oldEndpoint || (subscription && subscription.endpoint)) || {};
+  const topics = (req.body && req.body.topics) || previous.topics || PushNotifier.TOPICS;
+  const priceThresholds = (req.body && req.body.priceThresholds) || previous.priceThresholds || [];
+
+  const validSubscription = subscription && PushNotifier.isEndpointAllowed(subscription.endpoint) &&
+    subscription.keys && typeof subscription.keys.p256dh === 'string' && typeof subscription.keys.auth === 'string';
+
+  if (!validSubscription) {
+    return res.status(400).json({
+      error: 'Invalid subscription',
+      message: 'subscription must be a PushSubscription with an endpoint on a push service in PUSH_ENDPOINT_HOSTS and p256dh/auth keys'
+    });
+  }
+
+  // Only the browser holding an endpoint's keys may change its subscription
+  if (pushSubscriptions.get(subscription.endpoint) && !pushSubscriptions.hasKeys(subscription.endpoint, subscription.keys)) {
+    return res.status(403).json({
+      error: 'Subscription exists',
+      message: 'That endpoint is already subscribed with other keys'
+    });
+  }
+
+  if (!Array.isArray(topics) || topics.length === 0 || !topics.every(topic => PushNotifier.TOPICS.includes(topic))) {
+    return res.status(400).json({
+      error: 'Invalid topics',
+      message: `topics must be a non-empty list of: ${PushNotifier.TOPICS.join(', ')}`
+    });
+  }
+
+  if (!Array.isArray(priceThresholds) || !priceThresholds.every(price => typeof price === 'number' && price > 0)) {
+    return res.status(400).json({
+      error: 'Invalid price thresholds',
+      message: 'priceThresholds must be a list of positive USD prices'
+    });
+  }
+
+  try {
+    const record = await pushSubscriptions.upsert({
+      endpoint: subscription.endpoint,
+      keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+      topics,
+      priceThresholds
+    }, oldEndpoint);
+    pushNotifier.sync();
+
+    res.status(201).json({
+      endpoint: record.endpoint,
+      topics: record.topics,
+      priceThresholds: record.priceThresholds
+    });
+  } catch (error) {
+    logger.error('Error saving push subscription', { error });
+    res.status(500).json({
+      error: 'Failed to save push subscription',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/push/unsubscribe', async (req, res) => {
+  const { endpoint, keys } = req.body || {};
+
+  if (typeof endpoint !== 'string' || !keys || typeof keys !== 'object') {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'endpoint and keys are required'
+    });
+  }
+
+  // Without the subscription's keys it looks the same as no subscription at all
+  if (!pushSubscriptions.hasKeys(endpoint, keys)) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'No subscription with that endpoint and keys'
+    });
+  }
+
+  try {
+    await pushSubscriptions.remove(endpoint);
+    pushNotifier.sync();
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error removing push subscription', { error });
+    res.status(500).json({
+      error: 'Failed to remove push subscription',
+      message: error.message
+    });
+  }
+});
+
+// Server-Sent Events stream of block, stats, price and mempool changes
+app.get('/api/stream', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 10000\n\n');
+
+  const unsubscribe = chainWatcher.subscribe((event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+
+  const cleanup = () => {
+    if (!streams.has(res)) return;
+    streams.delete(res);
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  streams.set(res, cleanup);
+  req.on('close', cleanup);
+});
+
+// Rate limit and quota usage for the calling key or IP
+app.get('/api/usage', (req, res) => {
+  const { key, tier, policy, usage } = req.apiClient;
+
+  res.json({
+    authenticated: key !== null,
+    key,
+    tier,
+    rateLimit: {
+      limit: policy.limit,
+      window: '1m',
+      remaining: usage.remaining,
+      reset: usage.reset
+    },
+    dailyQuota: policy.dailyQuota > 0 ? {
+      limit: policy.dailyQuota,
+      used: usage.used,
+      remaining: Math.max(policy.dailyQuota - usage.used, 0),
+      reset: usage.quotaReset
+    } : null
+  });
+});
+
+// OpenAPI document and an interactive viewer for it
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openapiSpec);
+});
+
+app.get('/api/docs', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'api-docs.html'));
+});
+
+// Settings the dashboard needs (marked public in config/schema.js), so it
+// doesn't hardcode them
+app.get('/api/config', (req, res) => {
+  res.json({
+    version,
+    apiBase: '/api',
+    ...getPublicConfig(config)
+  });
+});
+
+// Readiness looks at the same cached data the API serves
+const healthCheck = new HealthCheck({
+  bitcoinService,
+  cache,
+  snapshotScheduler,
+  getLatestBlock: async () => (await getCachedData('latest-block', () => bitcoinService.getLatestBlock())).value
+});
+
+// Health check endpoint, kept for existing monitors (same as /api/health/live)
+app.get('/api/health', (req, res) => {
+  sendRouteResponse(res, apiRoutes.health());
+});
+
+// Liveness: the process is up and serving requests. Doesn't touch any dependency,
+// so a slow upstream never gets the container restarted.
+app.get('/api/health/live', (req, res) => {
+  res.json({
+    status: 'pass',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    version
+  });
+});
+
+// Readiness: providers, cache, chain tip and snapshots, with a 503 when
+// the server can't serve data
+app.get('/api/health/ready', async (req, res) => {
+  try {
+    const report = await healthCheck.check();
+
+    res.status(report.status === 'fail' ? 503 : 200).json({
+      status: report.status,
+      timestamp: report.timestamp,
+      uptime: process.uptime(),
+      version,
+      checks: report.checks
+    });
+  } catch (error) {
+    logger.error('Error running readiness checks', { error });
+    res.status(503).json({
+      error: 'Readiness check failed',
+      message: error.message
+    });
+  }
+});
+
+// API documentation endpoint
+app.get('/api', (req, res) => {
+  res.json({
+    name: 'Bitcoin Mining Tracker API',
+    version,
+    description: 'API for tracking Bitcoin mining statistics and remaining supply',
+    // Listed from the OpenAPI document so the two can't disagree
+    endpoints: Object.fromEntries(Object.entries(openapiSpec.paths).flatMap(([route, pathItem]) =>
+      ['get', 'post', 'put', 'delete']
+        .filter(method => pathItem[method])
+        .map(method => [`${method.toUpperCase()} ${route}`, pathItem[method].summary])
+    )),
+    openapi: '/api/openapi.json',
+    docs: '/api/docs',
+    cache: `Responses are cached (${cache.name}) for ${config.cache.ttlMs / 1000} seconds (current-stats 1 minute, supply-schedule 1 hour) and served stale while refreshing; cached responses send ETag, Last-Modified and Cache-Control and answer conditional requests with 304`,
+    authentication: `Optional${API_KEYS_REQUIRED ? ' (required on this server)' : ''}: send an API key in the X-API-Key header (or api_key query parameter for /api/stream) for higher rate limits. Limits are reported in RateLimit-* headers`,
+    dataSources: bitcoinService.providers.map(provider => provider.name)
+  });
+});
+
+// API v2: the same data as v1, always wrapped in { data, meta } with typed
+// error codes. v1 stays as it is for existing clients.
+const v2 = express.Router();
+
+// key and fetch get the request; blockHeight and source read the fetched data,
+// falling back to the last height seen and the data's provider. body turns the
+// cached value into the response data, and load replaces key and fetch for
+// routes that resolve to PriceService's { body, entry }.
+const V2_CACHED_ROUTES = {
+  '/mining-summary': {
+    key: () => 'mining-summary',
+    fetch: () => bitcoinService.getMiningSummary(),
+    blockHeight: data => data.current.currentBlockHeight,
+    source: data => data.current.provider
+  },
+  '/current-stats': {
+    key: () => 'current-stats',
+    fetch: () => bitcoinService.getCurrentStats(),
+    blockHeight: data => data.currentBlockHeight
+  },
+  '/daily-stats': {
+    key: () => 'daily-stats',
+    fetch: () => bitcoinService.getDailyMiningData(),
+    blockHeight: data => (data.blocks.length > 0 ? data.blocks[0].height : null)
+  },
+  '/remaining': {
+    key: () => 'remaining',
+    fetch: () => bitcoinService.getRemainingBitcoin()
+  },
+  '/supply-schedule': {
+    key: () => 'supply-schedule',
+    fetch: () => bitcoinService.getSupplySchedule(),
+    blockHeight: data => data.currentHeight
+  },
+  '/difficulty': {
+    key: () => 'difficulty',
+    fetch: () => bitcoinService.getDifficultyAdjustment(),
+    blockHeight: data => data.currentHeight
+  },
+  '/eta': {
+    key: req => `eta:${Number(req.query.height)}`,
+    fetch: req => bitcoinService.getHeightEstimate(Number(req.query.height)),
+    blockHeight: data => data.currentHeight
+  },
+  '/pools': {
+    key: req => `pools:${req.query.window || '24h'}`,
+    fetch: req => bitcoinService.getPoolDistribution(req.query.window || '24h'),
+    blockHeight: data => data.coverage.toHeight,
+    source: () => 'pool-tracker'
+  },
+  '/mempool': {
+    key: () => 'mempool',
+    fetch: () => bitcoinService.getMempoolData()
+  },
+  '/fees/estimate': {
+    key: () => 'fee-histogram',
+    fetch: () => bitcoinService.getFeeHistogramData(),
+    body: (data, req) => estimateFees(data, req.query.target === undefined ? FEE_TARGETS : [Number(req.query.target)])
+  },
+  '/price': {
+    load: req => priceService.getPrice(req.query.currency || 'usd')
+  },
+  '/price/history': {
+    load: req => priceService.getHistory(req.query.currency || 'usd', req.query.range || '30d', req.query.interval || '1d'),
+    source: () => 'history-store'
+  }
+};
+
+for (const [route, definition] of Object.entries(V2_CACHED_ROUTES)) {
+  v2.get(route, async (req, res) => {
+    try {
+      const { body, entry } = definition.load
+        ? await definition.load(req)
+        : { entry: await getCachedData(definition.key(req), () => definition.fetch(req)) };
+      const value = body || entry.value;
+      const data = definition.body ? definition.body(value, req) : value;
+      // Without an entry the value is the recorded price, stale by definition
+      const envelope = createEnvelope(data, {
+        source: (definition.source ? definition.source(value) : value.provider) || null,
+        fetchedAt: entry ? entry.storedAt : Date.parse(value.timestamp),
+        blockHeight: (definition.blockHeight && definition.blockHeight(value)) ?? bitcoinService.lastKnownHeight,
+        stale: entry ? Date.now() - entry.storedAt >= entry.ttl : true
+      });
+
+      if (entry) sendCached(res, entry, envelope);
+      else res.json(envelope);
+    } catch (error) {
+      logger.error('Error fetching v2 route', { route: `/api/v2${route}`, error });
+      sendApiError(req, res, 'UPSTREAM_ERROR', null, error.message);
+    }
+  });
+}
+
+v2.get('/history', (req, res) => {
+  const { metric, from, to } = req.query;
+
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return sendApiError(req, res, 'INVALID_PARAMETER', null, 'from and to must be ISO 8601 dates');
+  }
+
+  try {
+    res.json(createEnvelope({
+      metric,
+      from: from || null,
+      to: to || null,
+      points: historyStore.query(metric, from, to)
+    }, {
+      source: 'history-store',
+      blockHeight: bitcoinService.lastKnownHeight
+    }));
+  } catch (error) {
+    logger.error('Error reading history (v2)', { error });
+    sendApiError(req, res, 'INTERNAL_ERROR', null, error.message);
+  }
+});
+
+v2.get('/health', (req, res) => {
+  res.json(createEnvelope(apiRoutes.health().body, {
+    source: 'server',
+    blockHeight: bitcoinService.lastKnownHeight
+  }));
+});
+
+v2.use((req, res) => {
+  sendApiError(req, res, 'NOT_FOUND', null, `No v2 endpoint at ${req.method} ${req.baseUrl}${req.path}`);
+});
+
+app.use('/api/v2', v2);
+
+// Prometheus metrics. Set METRICS_TOKEN to require it as a bearer token.
+app.get('/metrics', async (req, res) => {
+  if (config.metrics.token && req.get('Authorization') !== `Bearer ${config.metrics.token}`) {
+    return res.status(401).type('text/plain').send('Unauthorized\n');
+  }
+
+  // Business gauges come from the response cache, so scrapes don't add upstream load.
+  // A failed refresh leaves the previous values in place.
+  try {
+    const [stats, latestBlock] = await Promise.all([
+      getCachedData('current-stats', () => bitcoinService.getCurrentStats()),
+      getCachedData('latest-block', () => bitcoinService.getLatestBlock())
+    ]);
+
+    metrics.blockHeight.set(stats.value.currentBlockHeight);
+    metrics.circulatingSupply.set(stats.value.totalBitcoinsInCirculation);
+    metrics.difficulty.set(stats.value.difficulty);
+    if (stats.value.hashRate !== null && stats.value.hashRate !== undefined) {
+      metrics.hashRate.set(stats.value.hashRate);
+    }
+    metrics.latestBlockAge.set(Math.max(Date.now() / 1000 - latestBlock.value.time, 0));
+  } catch (error) {
+    logger.error('Error refreshing metrics', { error: error.message });
+  }
+
+  res.set('Content-Type', metrics.register.contentType);
+  res.end(await metrics.register.metrics());
+});
+
+// Serve the main application
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  logger.error('Unhandled error', { error: err });
+  res.status(500).json({ 
+    error: 'Internal server error',
+    message: config.server.env === 'development' ? err.message : 'Something went wrong'
+  });
+});
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({ 
+    error: 'Not found',
+    message: 'The requested resource was not found'
+  });
+});
+
+/**
+ * Start shutting down: end event streams (their clients reconnect to another
+ * instance) and have new requests close their connection once answered
+ */
+function drain() {
+  shuttingDown = true;
+
+  for (const [res, cleanup] of streams) {
+    cleanup();
+    res.end();
+  }
+}
+
+module.exports = {
+  app,
+  drain,
+  services: {
+    bitcoinService,
+    historyStore,
+    snapshotScheduler,
+    alertStore,
+    alertEngine,
+    chainWatcher,
+    pushSubscriptions,
+    pushNotifier,
+    apiKeys,
+    rateLimiter,
+    cache
+  }
+};
@@ -0,0 +1,178 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const cron = require('node-cron');
+const SETTINGS = require('./schema');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config.json');
+
+const FORMAT_NAMES = { uri: 'URL', cron: 'cron expression' };
+
+// NODE_ENV values with behaviour of their own; anything else (staging, say) runs as production
+const ENVIRONMENTS = ['development', 'production', 'test'];
+
+/**
+ * Configuration, loaded once at startup.
+ *
+ * Each setting comes from its environment variable (including .env), else
+ * the config file (CONFIG_FILE, or config.json in the project root when it
+ * exists), else its default in schema.js. The result is validated as a whole,
+ * and anything wrong stops the process with a list of every problem rather
+ * than surfacing later as a confusing failure.
+ */
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function buildSchema() {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    properties: Object.fromEntries(Object.entries(SETTINGS).map(([section, settings]) => [section, {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(Object.entries(settings).map(([key, setting]) => [
+        key,
+        setting.default === undefined ? setting.schema : { ...setting.schema, default: setting.default }
+      ]))
+    }]))
+  };
+}
+
+const ajv = addFormats(new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true, strict: false }));
+ajv.addFormat('cron', expression => cron.validate(expression));
+const validate = ajv.compile(buildSchema());
+
+function readConfigFile(filePath, required) {
+  if (!fs.existsSync(filePath)) {
+    if (required) throw new ConfigError([`Config file ${filePath} (CONFIG_FILE) does not exist`]);
+    return {};
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('expected a JSON object');
+    }
+    return data;
+  } catch (error) {
+    throw new ConfigError([`Config file ${filePath} can't be read: ${error.message}`]);
+  }
+}
+
+function describeProblem(error, sources) {
+  const field = error.instancePath.slice(1).replace(/\//g, '.');
+
+  if (error.keyword === 'additionalProperties') {
+    return `${field ? `${field}.` : ''}${error.params.additionalProperty} is not a known setting`;
+  }
+
+  // Point at the setting itself for errors on a list item (providers.order.1)
+  const setting = sources[field] ? field : field.split('.').slice(0, 2).join('.');
+  const source = sources[setting] ? ` (from ${sources[setting]})` : '';
+  let message = error.message;
+  if (error.keyword === 'enum') {
+    message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+  } else if (error.keyword === 'format') {
+    message = `must be a valid ${FORMAT_NAMES[error.params.format] || error.params.format}`;
+  }
+
+  return `${field} ${message}${source}`;
+}
+
+function deepFreeze(object) {
+  for (const value of Object.values(object)) {
+    if (value && typeof value === 'object') deepFreeze(value);
+  }
+  return Object.freeze(object);
+}
+
+/**
+ * Load and validate the configuration. Throws a ConfigError listing every problem.
+ */
+function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+  const filePath = path.resolve(file || DEFAULT_CONFIG_FILE);
+  const config = readConfigFile(filePath, Boolean(file));
+  const sources = {}; // 'section.key' -> where the value came from, for error messages
+
+  for (const [section, values] of Object.entries(config)) {
+    if (values && typeof values === 'object') {
+      Object.keys(values).forEach(key => {
+        sources[`${section}.${key}`] = path.basename(filePath);
+      });
+    }
+  }
+
+  for (const [section, settings] of Object.entries(SETTINGS)) {
+    if (config[section] === undefined) config[section] = {};
+    // A non-object section from the file is reported by validation below
+    if (!config[section] || typeof config[section] !== 'object') continue;
+
+    for (const [key, setting] of Object.entries(settings)) {
+      const raw = env[setting.env];
+      if (raw === undefined || raw === '') continue;
+
+      config[section][key] = setting.schema.type === 'array'
+        ? raw.split(',').map(item => item.trim()).filter(Boolean)
+        : raw;
+      sources[`${section}.${key}`] = `${setting.env}=${JSON.stringify(raw)}`;
+    }
+  }
+
+  const problems = validate(config) ? [] : validate.errors.map(error => describeProblem(error, sources));
+
+  if (config.push && Boolean(config.push.vapidPublicKey) !== Boolean(config.push.vapidPrivateKey)) {
+    problems.push('push.vapidPublicKey (VAPID_PUBLIC_KEY) and push.vapidPrivateKey (VAPID_PRIVATE_KEY) must be set together');
+  }
+
+  if (problems.length > 0) throw new ConfigError(problems);
+
+  if (config.server.env && !ENVIRONMENTS.includes(config.server.env)) {
+    // The logger reads its settings from here, so report directly
+    console.warn(`server.env ${JSON.stringify(config.server.env)} is not one of ${ENVIRONMENTS.join(', ')}; running as production`);
+    config.server.env = 'production';
+  }
+
+  return deepFreeze(config);
+}
+
+/**
+ * The settings marked public, for the browser
+ */
+function getPublicConfig(config) {
+  const result = {};
+
+  for (const [section, settings] of Object.entries(SETTINGS)) {
+    for (const [key, setting] of Object.entries(settings)) {
+      if (!setting.public) continue;
+      result[section] = result[section] || {};
+      result[section][key] = config[section][key];
+    }
+  }
+  return result;
+}
+
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+
+  // The logger reads its settings from here, so report directly
+  console.error(error.message);
+  process.exit(1);
+}
+
+module.exports = {
+  config,
+  loadConfig,
+  getPublicConfig,
+  ConfigError,
+  SETTINGS
+};
@@ -0,0 +1,159 @@
+const path = require('path');
+
+// Where the *_FILE settings point by default
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Listed here rather than read from services/providers, which needs the config to load
+const PROVIDER_NAMES = ['blockchain.info', 'mempool.space', 'esplora', 'bitcoin-core'];
+
+const integer = (minimum, extra = {}) => ({ type: 'integer', minimum, ...extra });
+const url = { type: 'string', format: 'uri' };
+const cronExpression = { type: 'string', format: 'cron' };
+const string = { type: 'string', minLength: 1 };
+
+/**
+ * Every setting, by section. A setting can be given in the config file under
+ * its section ({ "cache": { "ttlMs": 60000 } }) or through its environment
+ * variable, which wins. Settings marked public are sent to the browser by
+ * /api/config, so never mark anything secret as public.
+ */
+const SETTINGS = {
+  server: {
+    port: { env: 'PORT', schema: integer(1, { maximum: 65535 }), default: 3000 },
+    env: { env: 'NODE_ENV', schema: string },
+    trustProxy: { env: 'TRUST_PROXY', schema: string },
+    shutdownTimeoutMs: { env: 'SHUTDOWN_TIMEOUT_MS', schema: integer(1000), default: 20000 }
+  },
+
+  logging: {
+    level: { env: 'LOG_LEVEL', schema: { type: 'string', enum: ['debug', 'info', 'warn', 'error'] }, default: 'info' },
+    // json in production and pretty otherwise when not set
+    format: { env: 'LOG_FORMAT', schema: { type: 'string', enum: ['json', 'pretty'] } }
+  },
+
+  metrics: {
+    token: { env: 'METRICS_TOKEN', schema: string }
+  },
+
+  providers: {
+    order: {
+      env: 'DATA_PROVIDERS',
+      schema: { type: 'array', items: { enum: PROVIDER_NAMES }, minItems: 1, uniqueItems: true },
+      default: ['blockchain.info', 'mempool.space', 'esplora']
+    },
+    timeoutMs: { env: 'PROVIDER_TIMEOUT_MS', schema: integer(100), default: 10000 },
+    blockchainInfoUrl: { env: 'BLOCKCHAIN_INFO_API_URL', schema: url, default: 'https://blockchain.info' },
+    mempoolSpaceUrl: { env: 'MEMPOOL_API_URL', schema: url, default: 'https://mempool.space/api' },
+    esploraUrl: { env: 'ESPLORA_API_URL', schema: url, default: 'https://blockstream.info/api' }
+  },
+
+  bitcoinCore: {
+    url: { env: 'BITCOIN_RPC_URL', schema: url, default: 'http://127.0.0.1:8332' },
+    cookieFile: { env: 'BITCOIN_RPC_COOKIE_FILE', schema: string },
+    user: { env: 'BITCOIN_RPC_USER', schema: string },
+    password: { env: 'BITCOIN_RPC_PASSWORD', schema: { type: 'string' } },
+    utxoHashType: {
+      env: 'BITCOIN_RPC_UTXO_HASH_TYPE',
+      schema: { type: 'string', enum: ['none', 'hash_serialized_3', 'muhash'] },
+      default: 'none'
+    },
+    utxoTimeoutMs: { env: 'BITCOIN_RPC_UTXO_TIMEOUT_MS', schema: integer(1000), default: 120000 }
+  },
+
+  price: {
+    apiUrl: { env: 'PRICE_API_URL', schema: url, default: 'https://api.coingecko.com/api/v3' }
+  },
+
+  cache: {
+    backend: { env: 'CACHE_BACKEND', schema: { type: 'string', enum: ['memory', 'redis'] }, default: 'memory' },
+    ttlMs: { env: 'CACHE_TTL_MS', schema: integer(1000), default: 5 * 60 * 1000 },
+    staleTtlMs: { env: 'CACHE_STALE_TTL_MS', schema: integer(0), default: 10 * 60 * 1000 },
+    maxEntries: { env: 'CACHE_MAX_ENTRIES', schema: integer(1), default: 1000 },
+    redisUrl: { env: 'REDIS_URL', schema: url, default: 'redis://127.0.0.1:6379' },
+    prefix: { env: 'CACHE_PREFIX', schema: string, default: 'bitcoin-tracker:' }
+  },
+
+  apiKeys: {
+    required: { env: 'API_KEYS_REQUIRED', schema: { type: 'boolean' }, default: false },
+    file: { env: 'API_KEYS_FILE', schema: string, default: path.join(DATA_DIR, 'api-keys.json') }
+  },
+
+  rateLimit: {
+    anonymousPerMinute: { env: 'RATE_LIMIT_ANONYMOUS_PER_MINUTE', schema: integer(1), default: 60 },
+    anonymousDailyQuota: { env: 'RATE_LIMIT_ANONYMOUS_DAILY_QUOTA', schema: integer(0), default: 0 },
+    keyedPerMinute: { env: 'RATE_LIMIT_KEYED_PER_MINUTE', schema: integer(1), default: 600 },
+    keyedDailyQuota: { env: 'RATE_LIMIT_KEYED_DAILY_QUOTA', schema: integer(0), default: 100000 }
+  },
+
+  history: {
+    file: { env: 'HISTORY_FILE', schema: string, default: path.join(DATA_DIR, 'history.jsonl') },
+    snapshotCron: { env: 'SNAPSHOT_CRON', schema: cronExpression, default: '*/10 * * * *' }
+  },
+
+  pools: {
+    blocksFile: { env: 'POOL_BLOCKS_FILE', schema: string, default: path.join(DATA_DIR, 'pool-blocks.jsonl') },
+    definitionsFile: {
+      env: 'POOL_DEFINITIONS_FILE',
+      schema: string,
+      default: path.join(__dirname, '..', 'services', 'poolDefinitions.json')
+    }
+  },
+
+  estimates: {
+    blockTimeWindow: { env: 'BLOCK_TIME_WINDOW', schema: integer(2), default: 144 },
+    difficultyHistoryEpochs: { env: 'DIFFICULTY_HISTORY_EPOCHS', schema: integer(0), default: 12 }
+  },
+
+  alerts: {
+    file: { env: 'ALERTS_FILE', schema: string, default: path.join(DATA_DIR, 'alerts.json') },
+    cron: { env: 'ALERT_CRON', schema: cronExpression, default: '* * * * *' },
+    cooldownMinutes: { env: 'ALERT_COOLDOWN_MINUTES', schema: integer(0), default: 60 },
+    webhookUrl: { env: 'ALERT_WEBHOOK_URL', schema: url },
+    // URL prefixes a rule's own webhookUrl must start with; none allowed when empty
+    webhookAllowlist: { env: 'ALERT_WEBHOOK_ALLOWLIST', schema: { type: 'array', items: url }, default: [] },
+    webhookSecret: { env: 'ALERT_WEBHOOK_SECRET', schema: string }
+  },
+
+  push: {
+    subscriptionsFile: {
+      env: 'PUSH_SUBSCRIPTIONS_FILE',
+      schema: string,
+      default: path.join(DATA_DIR, 'push-subscriptions.json')
+    },
+    vapidKeysFile: { env: 'VAPID_KEYS_FILE', schema: string, default: path.join(DATA_DIR, 'vapid.json') },
+    vapidPublicKey: { env: 'VAPID_PUBLIC_KEY', schema: string },
+    vapidPrivateKey: { env: 'VAPID_PRIVATE_KEY', schema: string },
+    vapidSubject: { env: 'VAPID_SUBJECT', schema: { type: 'string', pattern: '^(mailto:|https://)' }, default: 'mailto:admin@localhost' },
+    priceStepUsd: { env: 'PUSH_PRICE_STEP_USD', schema: { type: 'number', exclusiveMinimum: 0 }, default: 10000 },
+    // The push services of Chrome, Firefox, Safari and Edge; *. matches any subdomain
+    endpointHosts: {
+      env: 'PUSH_ENDPOINT_HOSTS',
+      schema: { type: 'array', items: { type: 'string', pattern: '^(\\*\\.)?[a-z0-9.-]+$' }, minItems: 1 },
+      default: ['fcm.googleapis.com', 'updates.push.services.mozilla.com', 'web.push.apple.com', '*.notify.windows.com']
+    }
+  },
+
+  stream: {
+    pollMs: { env: 'STREAM_POLL_MS', schema: integer(1000), default: 15000 },
+    pricePollMs: { env: 'STREAM_PRICE_POLL_MS', schema: integer(1000), default: 60000 }
+  },
+
+  health: {
+    probeTimeoutMs: { env: 'HEALTH_PROBE_TIMEOUT_MS', schema: integer(100), default: 2000 },
+    checkTtlMs: { env: 'HEALTH_CHECK_TTL_MS', schema: integer(0), default: 10000 },
+    maxBlockAgeMinutes: { env: 'HEALTH_MAX_BLOCK_AGE_MINUTES', schema: integer(1), default: 60 },
+    maxSnapshotAgeMinutes: { env: 'HEALTH_MAX_SNAPSHOT_AGE_MINUTES', schema: integer(1), default: 30 }
+  },
+
+  cron: {
+    // Vercel sends it as a bearer token to the scheduled job functions in api/cron
+    secret: { env: 'CRON_SECRET', schema: string }
+  },
+
+  client: {
+    // How often the dashboard polls when the event stream isn't available
+    updateIntervalMs: { env: 'CLIENT_UPDATE_INTERVAL_MS', schema: integer(10000), default: 5 * 60 * 1000, public: true }
+  }
+};
+
+module.exports = SETTINGS;
@@ -1,11 +1,13 @@
 const http = require('http');
 
+// Checks readiness: a 503 means no data provider is answering. Warnings
+// (stale cache, old tip, late snapshot) still count as healthy.
 const options = {
   hostname: 'localhost',
   port: process.env.PORT || 3000,
-  path: '/api/health',
+  path: '/api/health/ready',
   method: 'GET',
-  timeout: 2000
+  timeout: 4000
 };
 
 const req = http.request(options, (res) => {
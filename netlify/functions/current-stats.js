@@ -1,47 +1,4 @@
-exports.handler = async (event, context) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE',
-    'Content-Type': 'application/json'
-  };
+const { createHandler } = require('../lib/handler');
 
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
-  }
-
-  if (event.httpMethod !== 'GET') {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
-  }
-
-  try {
-    // Simple mock data for now to test deployment
-    const data = {
-      currentBlockHeight: 850000,
-      totalBitcoinMined: 19750000,
-      remainingBitcoin: 1250000,
-      percentageMined: "94.05",
-      currentDifficulty: 61000000000000,
-      networkHashRate: 500000000000000000000,
-      totalTransactions: 850000000,
-      timestamp: new Date().toISOString()
-    };
-    
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify(data)
-    };
-  } catch (error) {
-    console.error('Error:', error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ error: 'Internal server error' })
-    };
-  }
-};
\ No newline at end of file
+// GET /api/current-stats, answered as server.js does
+exports.handler = createHandler(apiRoutes => apiRoutes.getData('current-stats'));
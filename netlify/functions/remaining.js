@@ -0,0 +1,4 @@
+const { createHandler } = require('../lib/handler');
+
+// GET /api/remaining, answered as server.js does
+exports.handler = createHandler(apiRoutes => apiRoutes.getData('remaining'));
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const os = require('os');
+
+// Functions can only write to the temp directory. Set before the config loads.
+process.env.DATA_DIR = process.env.DATA_DIR || os.tmpdir();
+
+const BitcoinDataService = require('../../services/bitcoinDataService');
+const { ResponseCache } = require('../../services/cache');
+const ApiRoutes = require('../../services/apiRoutes');
+const { logger, runWithRequestId } = require('../../services/logger');
+
+// Same rule as app.js for accepting the caller's X-Request-Id
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const DEFAULT_HEADERS = {
+  'Content-Type': 'application/json; charset=utf-8',
+  'Cache-Control': 'no-cache',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Expose-Headers': 'X-Request-Id,ETag'
+};
+
+// Created on the first request and kept while the function instance stays
+// warm, so the response cache carries over between invocations
+let apiRoutes = null;
+
+function getApiRoutes() {
+  if (!apiRoutes) {
+    apiRoutes = new ApiRoutes(new BitcoinDataService(), new ResponseCache());
+  }
+  return apiRoutes;
+}
+
+/**
+ * Whether the request's If-None-Match / If-Modified-Since still match, as
+ * Express decides it for the app
+ */
+function isNotModified(requestHeaders, responseHeaders) {
+  const ifNoneMatch = requestHeaders['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',')
+      .map(tag => tag.trim().replace(/^W\//, ''))
+      .some(tag => tag === '*' || tag === responseHeaders.ETag);
+  }
+
+  const ifModifiedSince = Date.parse(requestHeaders['if-modified-since']);
+  const lastModified = Date.parse(responseHeaders['Last-Modified']);
+  return !Number.isNaN(ifModifiedSince) && !Number.isNaN(lastModified) && lastModified <= ifModifiedSince;
+}
+
+async function respond(event, requestHeaders, route) {
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 204,
+      headers: {
+        'Access-Control-Allow-Methods': 'GET,HEAD',
+        'Access-Control-Allow-Headers': requestHeaders['access-control-request-headers'] || ''
+      }
+    };
+  }
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+    return {
+      statusCode: 404,
+      headers: {},
+      body: { error: 'Not found', message: 'The requested resource was not found' }
+    };
+  }
+
+  const response = await route(getApiRoutes());
+  if (response.statusCode === 200 && isNotModified(requestHeaders, response.headers)) {
+    return { statusCode: 304, headers: response.headers };
+  }
+  return response;
+}
+
+/**
+ * A Netlify function for one of the routes in services/apiRoutes.js. route
+ * gets the shared ApiRoutes and resolves to its { statusCode, headers, body },
+ * so the function answers exactly as server.js does.
+ */
+function createHandler(route) {
+  return async event => {
+    const requestHeaders = Object.fromEntries(Object.entries(event.headers || {})
+      .map(([name, value]) => [name.toLowerCase(), value]));
+    const incoming = requestHeaders['x-request-id'];
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = Date.now();
+
+    return runWithRequestId(requestId, async () => {
+      const { statusCode, headers, body } = await respond(event, requestHeaders, route);
+
+      logger.info('Request completed', {
+        method: event.httpMethod,
+        path: event.path,
+        status: statusCode,
+        durationMs: Date.now() - startedAt
+      });
+
+      return {
+        statusCode,
+        headers: { ...DEFAULT_HEADERS, ...headers, 'X-Request-Id': requestId },
+        body: body === undefined || event.httpMethod === 'HEAD' ? '' : JSON.stringify(body)
+      };
+    });
+  };
+}
+
+module.exports = { createHandler };
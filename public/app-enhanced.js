@@ -1,16 +1,18 @@
 class BitcoinTracker {
     constructor() {
-        this.updateInterval = 5 * 60 * 1000; // 5 minutes
+        this.apiBase = '/api';
+        this.updateInterval = 5 * 60 * 1000; // 5 minutes, until /api/config says otherwise
         this.chart = null;
         this.priceChart = null;
+        this.poolChart = null;
+        this.pools = null;
+        this.poolWindow = '24h';
+        this.stream = null;
+        this.pollTimer = null;
         this.lastUpdateTime = null;
         this.currentTheme = 'dark';
         this.selectedCurrency = 'USD';
         
-        // API endpoints
-        this.blockchainAPI = 'https://blockchain.info';
-        this.priceAPI = 'https://api.coingecko.com/api/v3';
-        
         this.init();
     }
 
@@ -18,6 +20,7 @@ class BitcoinTracker {
         try {
             this.initializeTheme();
             this.setupEventListeners();
+            await this.loadConfig();
             await this.loadRealTimeData();
             this.setupCharts();
             this.startAutoRefresh();
@@ -30,6 +33,21 @@ class BitcoinTracker {
         }
     }
 
+    // Server settings, so endpoints and the refresh interval aren't hardcoded
+    // here. Keeps the defaults from the constructor if the server can't answer.
+    async loadConfig() {
+        try {
+            const response = await fetch(`${this.apiBase}/config`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const config = await response.json();
+
+            this.apiBase = config.apiBase;
+            this.updateInterval = config.client.updateIntervalMs;
+        } catch (error) {
+            console.warn('Failed to load config, using defaults:', error);
+        }
+    }
+
     initializeTheme() {
         const savedTheme = localStorage.getItem('bitcoin-tracker-theme') || 'dark';
         this.currentTheme = savedTheme;
@@ -54,20 +72,34 @@ class BitcoinTracker {
         if (refreshBtn) {
             refreshBtn.addEventListener('click', () => this.loadRealTimeData());
         }
+
+        const poolWindowSelect = document.getElementById('poolWindowSelect');
+        if (poolWindowSelect) {
+            poolWindowSelect.addEventListener('change', (e) => this.changePoolWindow(e.target.value));
+        }
+
+        this.pushNotifications = new PushNotifications(this.apiBase);
+        this.pushNotifications.init(document.getElementById('pushToggle'));
     }
 
     async loadRealTimeData() {
         try {
             this.showLoading();
             
-            const [blockchainData, priceData] = await Promise.all([
+            const [blockchainData, priceData, mempoolData, difficultyData, poolData] = await Promise.all([
                 this.fetchBlockchainData(),
-                this.fetchPriceData()
+                this.fetchPriceData(),
+                this.fetchMempoolData(),
+                this.fetchDifficultyData(),
+                this.fetchPoolData()
             ]);
 
             this.data = {
                 ...blockchainData,
                 price: priceData,
+                mempool: mempoolData,
+                difficulty: difficultyData,
+                pools: poolData,
                 lastUpdated: new Date().toISOString()
             };
 
@@ -83,40 +115,41 @@ class BitcoinTracker {
         }
     }
 
+    // Chain stats come from our own API, which picks the data provider
     async fetchBlockchainData() {
         try {
-            // Use CORS proxy for blockchain.info
-            const statsResponse = await fetch('https://api.allorigins.win/get?url=' + encodeURIComponent('https://blockchain.info/stats?format=json'));
-            const statsData = await statsResponse.json();
-            const stats = JSON.parse(statsData.contents);
+            const response = await fetch(`${this.apiBase}/current-stats`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const stats = await response.json();
 
-            const totalBitcoinMined = stats.totalbc / 100000000;
-            const remainingBitcoin = 21000000 - totalBitcoinMined;
+            const totalBitcoinMined = stats.totalBitcoinsInCirculation;
+            const remainingBitcoin = SupplySchedule.MAX_SUPPLY - totalBitcoinMined;
+            const height = stats.currentBlockHeight;
+            const [estimates, daily] = await Promise.all([
+                this.fetchSupplyEstimates(height),
+                this.fetchDailyStats()
+            ]);
 
             return {
                 summary: {
                     totalBitcoinMined: Math.floor(totalBitcoinMined),
                     remainingBitcoin: Math.floor(remainingBitcoin),
-                    percentageMined: ((totalBitcoinMined / 21000000) * 100).toFixed(4),
-                    estimatedDaysToCompletion: this.calculateDaysToCompletion(remainingBitcoin)
+                    percentageMined: ((totalBitcoinMined / SupplySchedule.MAX_SUPPLY) * 100).toFixed(4),
+                    estimatedDaysToCompletion: estimates.estimatedDaysToCompletion
                 },
                 current: {
-                    currentBlockHeight: stats.n_blocks_total || 850000,
+                    currentBlockHeight: height,
                     totalBitcoinsInCirculation: Math.floor(totalBitcoinMined),
-                    currentBlockReward: this.getCurrentBlockReward(stats.n_blocks_total || 850000),
+                    currentBlockReward: this.getCurrentBlockReward(height),
                     difficulty: stats.difficulty,
-                    networkHashRate: stats.hash_rate || 500000000000000000000
-                },
-                daily: {
-                    bitcoinMinedLast24h: this.calculateDailyMining(),
-                    blocksMinedLast24h: 144,
-                    averageBlockTime: 10.0
+                    hashRate: stats.hashRate
                 },
+                daily,
                 remaining: {
                     remainingBitcoin: Math.floor(remainingBitcoin),
-                    percentageMined: ((totalBitcoinMined / 21000000) * 100).toFixed(4),
-                    estimatedCompletionDate: this.calculateCompletionDate(remainingBitcoin),
-                    nextHalvingEstimate: this.calculateNextHalving(stats.n_blocks_total || 850000)
+                    percentageMined: ((totalBitcoinMined / SupplySchedule.MAX_SUPPLY) * 100).toFixed(4),
+                    estimatedCompletionDate: estimates.estimatedCompletionDate,
+                    nextHalvingEstimate: estimates.nextHalvingEstimate
                 }
             };
         } catch (error) {
@@ -125,30 +158,102 @@ class BitcoinTracker {
         }
     }
 
-    async fetchPriceData() {
+    // Halving and completion dates from the server, estimated from observed
+    // block times with a 95% range; 144 blocks/day locally if it can't answer
+    async fetchSupplyEstimates(blockHeight) {
         try {
-            const currency = this.selectedCurrency.toLowerCase();
-            const response = await fetch(
-                `${this.priceAPI}/simple/price?ids=bitcoin&vs_currencies=${currency}&include_24hr_change=true&include_market_cap=true&include_24hr_vol=true`
-            );
+            const response = await fetch(`${this.apiBase}/remaining`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
             const data = await response.json();
-            
             return {
-                current: data.bitcoin[currency],
-                change24h: data.bitcoin[`${currency}_24h_change`],
-                marketCap: data.bitcoin[`${currency}_market_cap`],
-                volume24h: data.bitcoin[`${currency}_24h_vol`],
-                currency: this.selectedCurrency
+                estimatedDaysToCompletion: data.estimatedDaysToCompletion,
+                estimatedCompletionDate: data.estimatedCompletionDate,
+                nextHalvingEstimate: data.nextHalvingEstimate
             };
+        } catch (error) {
+            console.error('Error fetching supply estimates:', error);
+            return {
+                estimatedDaysToCompletion: this.calculateDaysToCompletion(blockHeight),
+                estimatedCompletionDate: this.calculateCompletionDate(blockHeight),
+                nextHalvingEstimate: this.calculateNextHalving(blockHeight)
+            };
+        }
+    }
+
+    // Coins, blocks and average block time over the last 24 hours, counted by
+    // the server. Without them the previous figures stay on screen.
+    async fetchDailyStats() {
+        try {
+            const response = await fetch(`${this.apiBase}/daily-stats`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const stats = await response.json();
+            return {
+                bitcoinMinedLast24h: stats.bitcoinMinedLast24h,
+                blocksMinedLast24h: stats.blocksMinedLast24h,
+                averageBlockTime: stats.averageBlockTime
+            };
+        } catch (error) {
+            console.error('Error fetching daily stats:', error);
+            return null;
+        }
+    }
+
+    // From the server, which caches it and falls back to other sources.
+    // Without a price the previous one stays on screen rather than a made-up one.
+    async fetchPriceData() {
+        try {
+            const currency = this.selectedCurrency.toLowerCase();
+            const response = await fetch(`${this.apiBase}/price?currency=${currency}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return await response.json();
         } catch (error) {
             console.error('Error fetching price data:', error);
+            return null;
+        }
+    }
+
+    // The mempool and the fee rates estimated from its histogram. Estimates
+    // are left out when the server's provider has no histogram.
+    async fetchMempoolData() {
+        try {
+            const [mempoolResponse, feesResponse] = await Promise.all([
+                fetch(`${this.apiBase}/mempool`),
+                fetch(`${this.apiBase}/fees/estimate`)
+            ]);
+            if (!mempoolResponse.ok) {
+                throw new Error(`HTTP error! status: ${mempoolResponse.status}`);
+            }
+
             return {
-                current: 67000,
-                change24h: 2.5,
-                marketCap: 1300000000000,
-                volume24h: 25000000000,
-                currency: this.selectedCurrency
+                ...await mempoolResponse.json(),
+                fees: feesResponse.ok ? await feesResponse.json() : null
             };
+        } catch (error) {
+            console.error('Error fetching mempool data:', error);
+            return null;
+        }
+    }
+
+    async fetchDifficultyData() {
+        try {
+            const response = await fetch(`${this.apiBase}/difficulty`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('Error fetching difficulty data:', error);
+            return null;
         }
     }
 
@@ -311,30 +416,24 @@ class BitcoinTracker {
     }
 
     getCurrentBlockReward(blockHeight) {
-        const halvings = Math.floor(blockHeight / 210000);
-        return 50 / Math.pow(2, halvings);
-    }
-
-    calculateDailyMining() {
-        const dailyBlocks = 144;
-        const currentReward = 3.125; // Updated after April 2024 halving
-        return dailyBlocks * currentReward;
+        // Exact consensus subsidy from the shared schedule (supplySchedule.js)
+        return SupplySchedule.getBlockSubsidy(blockHeight);
     }
 
-    calculateDaysToCompletion(remainingBitcoin) {
-        const dailyMining = this.calculateDailyMining();
-        return Math.floor(remainingBitcoin / dailyMining);
+    calculateDaysToCompletion(blockHeight) {
+        // The subsidy keeps halving, so completion is the last subsidized block (~2140)
+        return Math.floor(SupplySchedule.getBlocksUntilLastSubsidy(blockHeight) / 144);
     }
 
-    calculateCompletionDate(remainingBitcoin) {
-        const days = this.calculateDaysToCompletion(remainingBitcoin);
+    calculateCompletionDate(blockHeight) {
+        const days = this.calculateDaysToCompletion(blockHeight);
         const futureDate = new Date();
         futureDate.setDate(futureDate.getDate() + days);
         return futureDate.toISOString();
     }
 
     calculateNextHalving(blockHeight) {
-        const nextHalvingBlock = Math.ceil(blockHeight / 210000) * 210000;
+        const nextHalvingBlock = SupplySchedule.getNextHalvingHeight(blockHeight);
         const blocksUntilHalving = nextHalvingBlock - blockHeight;
         const daysUntilHalving = Math.floor(blocksUntilHalving / 144);
         
@@ -380,11 +479,21 @@ class BitcoinTracker {
             this.updateElement('currentPrice', this.formatCurrency(data.price.current, data.price.currency));
             this.updateElement('priceCurrency', data.price.currency);
             
+            const priceEl = document.getElementById('currentPrice');
+            if (priceEl) {
+                priceEl.title = data.price.stale
+                    ? `Last updated ${new Date(data.price.timestamp).toLocaleString()}`
+                    : '';
+            }
+
             const changeEl = document.getElementById('priceChange24h');
-            if (changeEl && data.price.change24h !== undefined) {
+            if (changeEl && typeof data.price.change24h === 'number') {
                 const isPositive = data.price.change24h >= 0;
                 changeEl.textContent = `${isPositive ? '+' : ''}${data.price.change24h.toFixed(2)}%`;
                 changeEl.className = `price-change ${isPositive ? 'positive' : 'negative'}`;
+            } else if (changeEl) {
+                changeEl.textContent = '—';
+                changeEl.className = 'price-change';
             }
             
             this.updateElement('marketCap', this.formatCurrency(data.price.marketCap, data.price.currency, true));
@@ -395,7 +504,6 @@ class BitcoinTracker {
         }
 
         // Update main statistics
-        this.updateElement('bitcoinToday', this.formatNumber(data.daily.bitcoinMinedLast24h, 2));
         this.updateElement('totalCirculation', this.formatNumber(data.current.totalBitcoinsInCirculation, 0));
         this.updateElement('bitcoinRemaining', this.formatNumber(data.remaining.remainingBitcoin, 0));
         this.updateElement('progressPercentage', this.formatNumber(data.remaining.percentageMined, 2));
@@ -415,13 +523,25 @@ class BitcoinTracker {
         // Update network information
         this.updateElement('blockHeight', this.formatNumber(data.current.currentBlockHeight, 0));
         this.updateElement('blockReward', `${data.current.currentBlockReward} BTC`);
-        this.updateElement('blocksToday', this.formatNumber(data.daily.blocksMinedLast24h, 0));
-        this.updateElement('avgBlockTime', `${this.formatNumber(data.daily.averageBlockTime, 1)} min`);
+        if (data.daily) {
+            this.updateElement('bitcoinToday', this.formatNumber(data.daily.bitcoinMinedLast24h, 2));
+            this.updateElement('blocksToday', this.formatNumber(data.daily.blocksMinedLast24h, 0));
+            this.updateElement('avgBlockTime', `${this.formatNumber(data.daily.averageBlockTime, 1)} min`);
+        }
         this.updateElement('difficulty', this.formatDifficulty(data.current.difficulty));
+        if (data.difficulty) {
+            this.updateDifficultyCard(data.difficulty);
+        }
+        if (data.mempool) {
+            this.updateMempoolCard(data.mempool);
+        }
+        if (data.pools) {
+            this.updatePoolSection(data.pools);
+        }
         
         // Update hash rate
-        if (data.current.networkHashRate) {
-            const hashRateEH = data.current.networkHashRate / 1e18;
+        if (data.current.hashRate) {
+            const hashRateEH = data.current.hashRate / 1e18;
             this.updateElement('networkHashRate', `${hashRateEH.toFixed(1)} EH/s`);
         }
 
@@ -432,12 +552,149 @@ class BitcoinTracker {
             this.updateElement('daysUntilHalving', this.formatNumber(data.remaining.nextHalvingEstimate.daysUntilHalving, 0));
             this.updateElement('halvingDate', this.formatDate(data.remaining.nextHalvingEstimate.estimatedDate));
             this.updateElement('nextHalvingYear', new Date(data.remaining.nextHalvingEstimate.estimatedDate).getFullYear());
+            this.updateHalvingRange(data.remaining.nextHalvingEstimate);
         }
 
         this.updateElement('lastUpdated', this.formatTime(new Date()));
         this.updateElement('lastUpdatedHeader', this.formatDateTime(new Date()));
     }
 
+    updateHalvingRange(halving) {
+        if (halving.currentReward !== undefined) {
+            this.updateElement('halvingCurrentReward', `${halving.currentReward}`);
+            this.updateElement('halvingNextReward', `${halving.nextReward}`);
+        }
+
+        if (halving.earliestDate && halving.latestDate) {
+            this.updateElement('halvingDateRange', `${this.formatDate(halving.earliestDate)} and ${this.formatDate(halving.latestDate)}`);
+        }
+
+        if (halving.meanBlockInterval) {
+            this.updateElement('halvingBlockTime', `${this.formatNumber(halving.meanBlockInterval / 60, 1)}-minute average`);
+        }
+    }
+
+    updateDifficultyCard(difficulty) {
+        const change = difficulty.projectedChangePercent;
+        this.updateElement('difficultyAdjustment', `${change >= 0 ? '+' : ''}${change.toFixed(2)}%`);
+
+        const changeEl = document.getElementById('difficultyAdjustment');
+        if (changeEl) {
+            changeEl.className = `info-value ${change >= 0 ? 'positive' : 'negative'}`;
+        }
+
+        const progressBar = document.getElementById('epochProgressBar');
+        if (progressBar) {
+            progressBar.style.width = `${difficulty.progressPercent}%`;
+        }
+
+        this.updateElement(
+            'difficultyAdjustmentDetail',
+            `${this.formatNumber(difficulty.blocksUntilRetarget, 0)} blocks left · ~${this.formatDate(difficulty.estimatedRetargetDate)}`
+        );
+    }
+
+    updateMempoolCard(mempool) {
+        this.updateElement('mempoolSize', `${(mempool.vsize / 1e6).toFixed(1)} MvB`);
+        // Not every provider reports the fees waiting in the mempool
+        const totalFee = typeof mempool.totalFee === 'number'
+            ? `${this.formatNumber(mempool.totalFee / 1e8, 3)} BTC`
+            : 'n/a';
+        this.updateElement('mempoolDetail', `${this.formatNumber(mempool.count, 0)} txs · ${totalFee} in fees`);
+
+        if (mempool.fees) {
+            const labels = { 1: 'Next block', 3: '30 min', 6: '1 hour', 144: '1 day' };
+            this.updateElement('feeEstimates', mempool.fees.estimates
+                .map(estimate => `${labels[estimate.target]} ${this.formatNumber(estimate.feeRate, 1)}`)
+                .join(' · ') + ' sat/vB');
+        } else {
+            this.updateElement('feeEstimates', 'Fee estimates unavailable');
+        }
+
+        this.renderFeeHistogram(mempool.feeHistogram, mempool.vsize);
+    }
+
+    // Share of the mempool's vsize in each fee band, highest band first
+    renderFeeHistogram(histogram, totalVsize) {
+        const container = document.getElementById('feeHistogram');
+        if (!container) return;
+
+        if (!histogram || !totalVsize) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const bands = [50, 20, 10, 5, 2, 0].map(min => ({ min, vsize: 0 }));
+        histogram.forEach(({ feeRate, vsize }) => {
+            bands.find(band => feeRate >= band.min).vsize += vsize;
+        });
+
+        container.innerHTML = bands.map((band, i) => {
+            const label = i === 0 ? `${band.min}+` : `${band.min}–${bands[i - 1].min}`;
+            const width = (band.vsize / totalVsize) * 100;
+            return `<div class="fee-band" style="width: ${width}%" title="${label} sat/vB: ${(band.vsize / 1e6).toFixed(2)} MvB"></div>`;
+        }).join('');
+    }
+
+    async fetchPoolData() {
+        try {
+            const response = await fetch(`${this.apiBase}/pools?window=${this.poolWindow}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('Error fetching pool data:', error);
+            return null;
+        }
+    }
+
+    async changePoolWindow(poolWindow) {
+        this.poolWindow = poolWindow;
+        const pools = await this.fetchPoolData();
+        if (pools) {
+            this.updatePoolSection(pools);
+        }
+    }
+
+    updatePoolSection(pools) {
+        this.pools = pools;
+
+        const list = document.getElementById('poolList');
+        if (list) {
+            // Pool names come from an editable definitions file, so build the list as text
+            list.replaceChildren(...pools.pools.map(pool => {
+                const item = document.createElement('li');
+                const name = document.createElement('span');
+                const share = document.createElement('span');
+                name.textContent = pool.name;
+                share.className = 'pool-share';
+                share.textContent = `${this.formatNumber(pool.blocks, 0)} blocks · ${this.formatNumber(pool.hashrateShare, 1)}%`;
+                item.append(name, share);
+                return item;
+            }));
+        }
+
+        const coverage = pools.coverage.complete
+            ? `${this.formatNumber(pools.totalBlocks, 0)} blocks`
+            : `${this.formatNumber(pools.totalBlocks, 0)} blocks so far · older blocks are still being collected`;
+        this.updateElement('poolCoverage', coverage);
+
+        if (this.poolChart) {
+            this.poolChart.data.labels = pools.pools.map(pool => pool.name);
+            this.poolChart.data.datasets[0].data = pools.pools.map(pool => pool.blocks);
+            this.poolChart.data.datasets[0].backgroundColor = this.getPoolColors(pools.pools);
+            this.poolChart.update();
+        }
+    }
+
+    getPoolColors(pools) {
+        const palette = ['#f7931a', '#00d084', '#4f8ff7', '#e05d5d', '#b36bff', '#f2c94c', '#2ec4b6', '#ff8fab', '#8d99ae', '#6a994e'];
+        let next = 0;
+        return pools.map(pool => pool.id === 'unknown' ? '#6e7681' : palette[next++ % palette.length]);
+    }
+
     updateElement(id, value) {
         const element = document.getElementById(id);
         if (element && element.textContent !== value) {
@@ -545,6 +802,45 @@ class BitcoinTracker {
     setupCharts() {
         this.setupMiningChart();
         this.setupPriceChart();
+        this.setupPoolChart();
+    }
+
+    setupPoolChart() {
+        const ctx = document.getElementById('poolChart');
+        if (!ctx) return;
+
+        if (this.poolChart) {
+            this.poolChart.destroy();
+        }
+
+        const isDark = this.currentTheme === 'dark';
+        const textColor = isDark ? '#f0f6fc' : '#212529';
+        const pools = this.pools ? this.pools.pools : [];
+
+        this.poolChart = new Chart(ctx, {
+            type: 'doughnut',
+            data: {
+                labels: pools.map(pool => pool.name),
+                datasets: [{
+                    label: 'Blocks',
+                    data: pools.map(pool => pool.blocks),
+                    backgroundColor: this.getPoolColors(pools),
+                    borderWidth: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'right',
+                        labels: {
+                            color: textColor
+                        }
+                    }
+                }
+            }
+        });
     }
 
     setupMiningChart() {
@@ -709,12 +1005,86 @@ class BitcoinTracker {
         }
     }
 
-    startAutoRefresh() {
-        setInterval(() => {
+    startPolling() {
+        if (this.pollTimer) return;
+
+        this.pollTimer = setInterval(() => {
             this.loadRealTimeData();
         }, this.updateInterval);
     }
 
+    connectStream() {
+        if (typeof EventSource === 'undefined') return false;
+
+        const stream = new EventSource(`${this.apiBase}/stream`);
+        let connected = false;
+
+        stream.addEventListener('open', () => {
+            connected = true;
+        });
+
+        stream.addEventListener('error', () => {
+            // EventSource reconnects by itself after a drop; only give up if it never got through
+            if (!connected || stream.readyState === EventSource.CLOSED) {
+                stream.close();
+                this.startPolling();
+            }
+        });
+
+        ['block', 'stats', 'price', 'mempool'].forEach(type => {
+            stream.addEventListener(type, (event) => this.handleStreamEvent(type, JSON.parse(event.data)));
+        });
+
+        this.stream = stream;
+        return true;
+    }
+
+    handleStreamEvent(type, data) {
+        if (type === 'block') {
+            // Sent on connect too, so only reload when the tip actually moved
+            if (!this.data || this.data.current.currentBlockHeight !== data.height) {
+                this.loadRealTimeData();
+            }
+            return;
+        }
+
+        if (!this.data) return;
+
+        if (type === 'stats') {
+            this.data.current = {
+                ...this.data.current,
+                difficulty: data.difficulty,
+                hashRate: data.hashRate
+            };
+        } else if (type === 'price') {
+            // The server streams USD only
+            if (data.currency !== this.selectedCurrency) return;
+            this.data.price = {
+                ...this.data.price,
+                currency: data.currency,
+                current: data.current,
+                change24h: data.change24h,
+                marketCap: data.marketCap,
+                volume24h: data.volume24h,
+                timestamp: data.timestamp,
+                stale: false
+            };
+        } else if (type === 'mempool') {
+            if (!this.data.mempool) return;
+            // Fee estimates catch up on the next full refresh
+            this.data.mempool = { ...this.data.mempool, ...data };
+        }
+
+        this.updateUI(this.data);
+    }
+
+    startAutoRefresh() {
+        // Pushed updates from the server; poll only when the stream can't connect
+        if (!this.connectStream()) {
+            this.startPolling();
+        }
+    }
+
     formatNumber(number, decimals = 0) {
         if (typeof number !== 'number' || isNaN(number)) return '0';
         return number.toLocaleString('en-US', { 
@@ -724,7 +1094,8 @@ class BitcoinTracker {
     }
 
     formatCurrency(amount, currency = 'USD', abbreviated = false) {
-        if (typeof amount !== 'number' || isNaN(amount)) return '$0';
+        // Unknown (e.g. market data when only a fallback price source answered)
+        if (typeof amount !== 'number' || isNaN(amount)) return '—';
         
         if (abbreviated && amount >= 1e9) {
             return `${currency === 'USD' ? '$' : ''}${(amount / 1e9).toFixed(1)}B`;
@@ -785,9 +1156,9 @@ class BitcoinTracker {
             },
             current: {
                 currentBlockHeight: 926444,
-                currentBlockReward: 3.125,
+                currentBlockReward: this.getCurrentBlockReward(926444),
                 difficulty: 102289407543323.8,
-                networkHashRate: 750000000000000000000,
+                hashRate: 750000000000000000000,
                 totalBitcoinsInCirculation: 19957621
             },
             daily: {
@@ -814,13 +1185,11 @@ class BitcoinTracker {
                 currency: this.selectedCurrency
             },
             mempool: {
-                pendingTransactions: 15000,
-                mempoolSize: 50 * 1024 * 1024,
-                fees: {
-                    fastest: 25,
-                    halfHour: 18,
-                    hour: 12
-                }
+                count: 15000,
+                vsize: 50000000,
+                totalFee: 25000000,
+                feeHistogram: null,
+                fees: null
             }
         };
         
@@ -1,17 +1,19 @@
 class BitcoinTracker {
     constructor() {
         this.apiBase = '/api';
-        this.updateInterval = 5 * 60 * 1000; // 5 minutes
+        this.updateInterval = 5 * 60 * 1000; // 5 minutes, until /api/config says otherwise
         this.chart = null;
         this.priceChart = null;
+        this.poolChart = null;
+        this.pools = null;
+        this.poolWindow = '24h';
+        this.stream = null;
+        this.pollTimer = null;
         this.lastUpdateTime = null;
         this.currentTheme = 'dark';
         this.selectedCurrency = 'USD';
-        
-        // API endpoints
-        this.blockchainAPI = 'https://blockchain.info';
-        this.priceAPI = 'https://api.coingecko.com/api/v3';
-        this.mempoolAPI = 'https://mempool.space/api';
+        this.history = { supply: [], price: [] };
+        this.historyDays = 7;
         
         this.init();
     }
@@ -20,6 +22,7 @@ class BitcoinTracker {
         try {
             this.initializeTheme();
             this.setupEventListeners();
+            await this.loadConfig();
             await this.loadRealTimeData();
             this.setupCharts();
             this.startAutoRefresh();
@@ -33,6 +36,21 @@ class BitcoinTracker {
         }
     }
 
+    // Server settings, so endpoints and the refresh interval aren't hardcoded
+    // here. Keeps the defaults from the constructor if the server can't answer.
+    async loadConfig() {
+        try {
+            const response = await fetch(`${this.apiBase}/config`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const config = await response.json();
+
+            this.apiBase = config.apiBase;
+            this.updateInterval = config.client.updateIntervalMs;
+        } catch (error) {
+            console.warn('Failed to load config, using defaults:', error);
+        }
+    }
+
     initializeTheme() {
         const savedTheme = localStorage.getItem('bitcoin-tracker-theme') || 'dark';
         this.currentTheme = savedTheme;
@@ -60,6 +78,14 @@ class BitcoinTracker {
         if (refreshBtn) {
             refreshBtn.addEventListener('click', () => this.loadRealTimeData());
         }
+
+        const poolWindowSelect = document.getElementById('poolWindowSelect');
+        if (poolWindowSelect) {
+            poolWindowSelect.addEventListener('change', (e) => this.changePoolWindow(e.target.value));
+        }
+
+        this.pushNotifications = new PushNotifications(this.apiBase);
+        this.pushNotifications.init(document.getElementById('pushToggle'));
     }
 
     async loadRealTimeData() {
@@ -67,10 +93,12 @@ class BitcoinTracker {
             this.showLoading();
             
             // Fetch data from multiple APIs in parallel
-            const [blockchainData, priceData, mempoolData] = await Promise.all([
+            const [blockchainData, priceData, mempoolData, difficultyData, poolData] = await Promise.all([
                 this.fetchBlockchainData(),
                 this.fetchPriceData(),
-                this.fetchMempoolData()
+                this.fetchMempoolData(),
+                this.fetchDifficultyData(),
+                this.fetchPoolData()
             ]);
 
             // Combine all data
@@ -78,59 +106,60 @@ class BitcoinTracker {
                 ...blockchainData,
                 price: priceData,
                 mempool: mempoolData,
+                difficulty: difficultyData,
+                pools: poolData,
                 lastUpdated: new Date().toISOString()
             };
 
             this.updateUI(this.data);
-            this.updateCharts(this.data);
+            await this.updateCharts();
             this.lastUpdateTime = new Date();
             
         } catch (error) {
             console.error('Error loading real-time data:', error);
             // Fallback to static data
             this.loadStaticData();
+            await this.updateCharts();
         } finally {
             this.hideLoading();
         }
     }
 
+    // Chain stats come from our own API, which picks the data provider
     async fetchBlockchainData() {
         try {
-            const [statsResponse, blockHeightResponse] = await Promise.all([
-                fetch(`${this.blockchainAPI}/stats?format=json&cors=true`),
-                fetch(`${this.blockchainAPI}/q/getblockcount?cors=true`)
+            const response = await fetch(`${this.apiBase}/current-stats`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const stats = await response.json();
+
+            const totalBitcoinMined = stats.totalBitcoinsInCirculation;
+            const remainingBitcoin = SupplySchedule.MAX_SUPPLY - totalBitcoinMined;
+            const height = stats.currentBlockHeight;
+            const [estimates, daily] = await Promise.all([
+                this.fetchSupplyEstimates(height),
+                this.fetchDailyStats()
             ]);
 
-            const stats = await statsResponse.json();
-            const blockHeight = await blockHeightResponse.text();
-
-            const totalBitcoinMined = stats.totalbc / 100000000; // Convert satoshis to BTC
-            const remainingBitcoin = 21000000 - totalBitcoinMined;
-
             return {
                 summary: {
                     totalBitcoinMined: Math.floor(totalBitcoinMined),
                     remainingBitcoin: Math.floor(remainingBitcoin),
-                    percentageMined: ((totalBitcoinMined / 21000000) * 100).toFixed(4),
-                    estimatedDaysToCompletion: this.calculateDaysToCompletion(remainingBitcoin)
+                    percentageMined: ((totalBitcoinMined / SupplySchedule.MAX_SUPPLY) * 100).toFixed(4),
+                    estimatedDaysToCompletion: estimates.estimatedDaysToCompletion
                 },
                 current: {
-                    currentBlockHeight: parseInt(blockHeight),
+                    currentBlockHeight: height,
                     totalBitcoinsInCirculation: Math.floor(totalBitcoinMined),
-                    currentBlockReward: this.getCurrentBlockReward(parseInt(blockHeight)),
+                    currentBlockReward: this.getCurrentBlockReward(height),
                     difficulty: stats.difficulty,
-                    networkHashRate: stats.hash_rate
-                },
-                daily: {
-                    bitcoinMinedLast24h: this.calculateDailyMining(),
-                    blocksMinedLast24h: 144, // Approximate
-                    averageBlockTime: 10.0
+                    hashRate: stats.hashRate
                 },
+                daily,
                 remaining: {
                     remainingBitcoin: Math.floor(remainingBitcoin),
-                    percentageMined: ((totalBitcoinMined / 21000000) * 100).toFixed(4),
-                    estimatedCompletionDate: this.calculateCompletionDate(remainingBitcoin),
-                    nextHalvingEstimate: this.calculateNextHalving(parseInt(blockHeight))
+                    percentageMined: ((totalBitcoinMined / SupplySchedule.MAX_SUPPLY) * 100).toFixed(4),
+                    estimatedCompletionDate: estimates.estimatedCompletionDate,
+                    nextHalvingEstimate: estimates.nextHalvingEstimate
                 }
             };
         } catch (error) {
@@ -139,83 +168,124 @@ class BitcoinTracker {
         }
     }
 
-    async fetchPriceData() {
+    // Halving and completion dates from the server, estimated from observed
+    // block times with a 95% range; 144 blocks/day locally if it can't answer
+    async fetchSupplyEstimates(blockHeight) {
         try {
-            const currency = this.selectedCurrency.toLowerCase();
-            const response = await fetch(
-                `${this.priceAPI}/simple/price?ids=bitcoin&vs_currencies=${currency}&include_24hr_change=true&include_market_cap=true&include_24hr_vol=true`
-            );
+            const response = await fetch(`${this.apiBase}/remaining`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
             const data = await response.json();
-            
             return {
-                current: data.bitcoin[currency],
-                change24h: data.bitcoin[`${currency}_24h_change`],
-                marketCap: data.bitcoin[`${currency}_market_cap`],
-                volume24h: data.bitcoin[`${currency}_24h_vol`],
-                currency: this.selectedCurrency
+                estimatedDaysToCompletion: data.estimatedDaysToCompletion,
+                estimatedCompletionDate: data.estimatedCompletionDate,
+                nextHalvingEstimate: data.nextHalvingEstimate
             };
         } catch (error) {
-            console.error('Error fetching price data:', error);
+            console.error('Error fetching supply estimates:', error);
             return {
-                current: 0,
-                change24h: 0,
-                marketCap: 0,
-                volume24h: 0,
-                currency: this.selectedCurrency
+                estimatedDaysToCompletion: this.calculateDaysToCompletion(blockHeight),
+                estimatedCompletionDate: this.calculateCompletionDate(blockHeight),
+                nextHalvingEstimate: this.calculateNextHalving(blockHeight)
             };
         }
     }
 
-    async fetchMempoolData() {
+    // Coins, blocks and average block time over the last 24 hours, counted by
+    // the server. Without them the previous figures stay on screen.
+    async fetchDailyStats() {
         try {
-            const response = await fetch(`${this.mempoolAPI}/mempool`);
-            const data = await response.json();
-            
+            const response = await fetch(`${this.apiBase}/daily-stats`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const stats = await response.json();
             return {
-                pendingTransactions: data.count,
-                mempoolSize: data.vsize,
-                fees: {
-                    fastest: data.fastestFee || 0,
-                    halfHour: data.halfHourFee || 0,
-                    hour: data.hourFee || 0
-                }
+                bitcoinMinedLast24h: stats.bitcoinMinedLast24h,
+                blocksMinedLast24h: stats.blocksMinedLast24h,
+                averageBlockTime: stats.averageBlockTime
             };
         } catch (error) {
-            console.error('Error fetching mempool data:', error);
+            console.error('Error fetching daily stats:', error);
+            return null;
+        }
+    }
+
+    // From the server, which caches it and falls back to other sources.
+    // Without a price the previous one stays on screen rather than a made-up one.
+    async fetchPriceData() {
+        try {
+            const currency = this.selectedCurrency.toLowerCase();
+            const response = await fetch(`${this.apiBase}/price?currency=${currency}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('Error fetching price data:', error);
+            return null;
+        }
+    }
+
+    async fetchDifficultyData() {
+        try {
+            const response = await fetch(`${this.apiBase}/difficulty`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('Error fetching difficulty data:', error);
+            return null;
+        }
+    }
+
+    // The mempool and the fee rates estimated from its histogram. Estimates
+    // are left out when the server's provider has no histogram.
+    async fetchMempoolData() {
+        try {
+            const [mempoolResponse, feesResponse] = await Promise.all([
+                fetch(`${this.apiBase}/mempool`),
+                fetch(`${this.apiBase}/fees/estimate`)
+            ]);
+            if (!mempoolResponse.ok) {
+                throw new Error(`HTTP error! status: ${mempoolResponse.status}`);
+            }
+
             return {
-                pendingTransactions: 0,
-                mempoolSize: 0,
-                fees: { fastest: 0, halfHour: 0, hour: 0 }
+                ...await mempoolResponse.json(),
+                fees: feesResponse.ok ? await feesResponse.json() : null
             };
+        } catch (error) {
+            console.error('Error fetching mempool data:', error);
+            return null;
         }
     }
 
     getCurrentBlockReward(blockHeight) {
-        // Bitcoin halving occurs every 210,000 blocks
-        const halvings = Math.floor(blockHeight / 210000);
-        return 50 / Math.pow(2, halvings);
-    }
-
-    calculateDailyMining() {
-        const dailyBlocks = 144; // Approximate blocks per day
-        const currentReward = 6.25; // Current reward (this will be dynamic)
-        return dailyBlocks * currentReward;
+        // Exact consensus subsidy from the shared schedule (supplySchedule.js)
+        return SupplySchedule.getBlockSubsidy(blockHeight);
     }
 
-    calculateDaysToCompletion(remainingBitcoin) {
-        const dailyMining = this.calculateDailyMining();
-        return Math.floor(remainingBitcoin / dailyMining);
+    calculateDaysToCompletion(blockHeight) {
+        // The subsidy keeps halving, so completion is the last subsidized block (~2140)
+        return Math.floor(SupplySchedule.getBlocksUntilLastSubsidy(blockHeight) / 144);
     }
 
-    calculateCompletionDate(remainingBitcoin) {
-        const days = this.calculateDaysToCompletion(remainingBitcoin);
+    calculateCompletionDate(blockHeight) {
+        const days = this.calculateDaysToCompletion(blockHeight);
         const futureDate = new Date();
         futureDate.setDate(futureDate.getDate() + days);
         return futureDate.toISOString();
     }
 
     calculateNextHalving(blockHeight) {
-        const nextHalvingBlock = Math.ceil(blockHeight / 210000) * 210000;
+        const nextHalvingBlock = SupplySchedule.getNextHalvingHeight(blockHeight);
         const blocksUntilHalving = nextHalvingBlock - blockHeight;
         const daysUntilHalving = Math.floor(blocksUntilHalving / 144);
         
@@ -257,11 +327,21 @@ class BitcoinTracker {
             this.updateElement('currentPrice', this.formatCurrency(data.price.current, data.price.currency));
             this.updateElement('priceCurrency', data.price.currency);
             
+            const priceEl = document.getElementById('currentPrice');
+            if (priceEl) {
+                priceEl.title = data.price.stale
+                    ? `Last updated ${new Date(data.price.timestamp).toLocaleString()}`
+                    : '';
+            }
+
             const changeEl = document.getElementById('priceChange24h');
-            if (changeEl && data.price.change24h !== undefined) {
+            if (changeEl && typeof data.price.change24h === 'number') {
                 const isPositive = data.price.change24h >= 0;
                 changeEl.textContent = `${isPositive ? '+' : ''}${data.price.change24h.toFixed(2)}%`;
                 changeEl.className = `price-change ${isPositive ? 'positive' : 'negative'}`;
+            } else if (changeEl) {
+                changeEl.textContent = '—';
+                changeEl.className = 'price-change';
             }
             
             this.updateElement('marketCap', this.formatCurrency(data.price.marketCap, data.price.currency, true));
@@ -269,7 +349,6 @@ class BitcoinTracker {
         }
 
         // Update main statistics
-        this.updateElement('bitcoinToday', this.formatNumber(data.daily.bitcoinMinedLast24h, 2));
         this.updateElement('totalCirculation', this.formatNumber(data.current.totalBitcoinsInCirculation, 0));
         this.updateElement('bitcoinRemaining', this.formatNumber(data.remaining.remainingBitcoin, 0));
         this.updateElement('progressPercentage', this.formatNumber(data.remaining.percentageMined, 2));
@@ -289,23 +368,28 @@ class BitcoinTracker {
         // Update network information
         this.updateElement('blockHeight', this.formatNumber(data.current.currentBlockHeight, 0));
         this.updateElement('blockReward', `${data.current.currentBlockReward} BTC`);
-        this.updateElement('blocksToday', this.formatNumber(data.daily.blocksMinedLast24h, 0));
-        this.updateElement('avgBlockTime', `${this.formatNumber(data.daily.averageBlockTime, 1)} min`);
+        if (data.daily) {
+            this.updateElement('bitcoinToday', this.formatNumber(data.daily.bitcoinMinedLast24h, 2));
+            this.updateElement('blocksToday', this.formatNumber(data.daily.blocksMinedLast24h, 0));
+            this.updateElement('avgBlockTime', `${this.formatNumber(data.daily.averageBlockTime, 1)} min`);
+        }
         this.updateElement('difficulty', this.formatDifficulty(data.current.difficulty));
+        if (data.difficulty) {
+            this.updateDifficultyCard(data.difficulty);
+        }
+        if (data.pools) {
+            this.updatePoolSection(data.pools);
+        }
         
         // Update hash rate
-        if (data.current.networkHashRate) {
-            const hashRateEH = data.current.networkHashRate / 1e18; // Convert to EH/s
+        if (data.current.hashRate) {
+            const hashRateEH = data.current.hashRate / 1e18; // Convert to EH/s
             this.updateElement('networkHashRate', `${hashRateEH.toFixed(1)} EH/s`);
         }
 
         // Update mempool information
         if (data.mempool) {
-            this.updateElement('pendingTx', this.formatNumber(data.mempool.pendingTransactions, 0));
-            this.updateElement('mempoolSize', `${(data.mempool.mempoolSize / 1024 / 1024).toFixed(1)} MB`);
-            this.updateElement('fastFee', data.mempool.fees.fastest);
-            this.updateElement('halfHourFee', data.mempool.fees.halfHour);
-            this.updateElement('hourFee', data.mempool.fees.hour);
+            this.updateMempoolCard(data.mempool);
         }
 
         // Update halving information
@@ -315,6 +399,7 @@ class BitcoinTracker {
             this.updateElement('daysUntilHalving', this.formatNumber(data.remaining.nextHalvingEstimate.daysUntilHalving, 0));
             this.updateElement('halvingDate', this.formatDate(data.remaining.nextHalvingEstimate.estimatedDate));
             this.updateElement('nextHalvingYear', new Date(data.remaining.nextHalvingEstimate.estimatedDate).getFullYear());
+            this.updateHalvingRange(data.remaining.nextHalvingEstimate);
         }
 
         // Update timeline estimates
@@ -326,6 +411,142 @@ class BitcoinTracker {
         this.animateUpdate();
     }
 
+    updateDifficultyCard(difficulty) {
+        const change = difficulty.projectedChangePercent;
+        this.updateElement('difficultyAdjustment', `${change >= 0 ? '+' : ''}${change.toFixed(2)}%`);
+
+        const changeEl = document.getElementById('difficultyAdjustment');
+        if (changeEl) {
+            changeEl.className = `info-value ${change >= 0 ? 'positive' : 'negative'}`;
+        }
+
+        const progressBar = document.getElementById('epochProgressBar');
+        if (progressBar) {
+            progressBar.style.width = `${difficulty.progressPercent}%`;
+        }
+
+        this.updateElement(
+            'difficultyAdjustmentDetail',
+            `${this.formatNumber(difficulty.blocksUntilRetarget, 0)} blocks left · ~${this.formatDate(difficulty.estimatedRetargetDate)}`
+        );
+    }
+
+    updateHalvingRange(halving) {
+        if (halving.currentReward !== undefined) {
+            this.updateElement('halvingCurrentReward', `${halving.currentReward}`);
+            this.updateElement('halvingNextReward', `${halving.nextReward}`);
+        }
+
+        if (halving.earliestDate && halving.latestDate) {
+            this.updateElement('halvingDateRange', `${this.formatDate(halving.earliestDate)} and ${this.formatDate(halving.latestDate)}`);
+        }
+
+        if (halving.meanBlockInterval) {
+            this.updateElement('halvingBlockTime', `${this.formatNumber(halving.meanBlockInterval / 60, 1)}-minute average`);
+        }
+    }
+
+    updateMempoolCard(mempool) {
+        this.updateElement('mempoolSize', `${(mempool.vsize / 1e6).toFixed(1)} MvB`);
+        // Not every provider reports the fees waiting in the mempool
+        const totalFee = typeof mempool.totalFee === 'number'
+            ? `${this.formatNumber(mempool.totalFee / 1e8, 3)} BTC`
+            : 'n/a';
+        this.updateElement('mempoolDetail', `${this.formatNumber(mempool.count, 0)} txs · ${totalFee} in fees`);
+
+        if (mempool.fees) {
+            const labels = { 1: 'Next block', 3: '30 min', 6: '1 hour', 144: '1 day' };
+            this.updateElement('feeEstimates', mempool.fees.estimates
+                .map(estimate => `${labels[estimate.target]} ${this.formatNumber(estimate.feeRate, 1)}`)
+                .join(' · ') + ' sat/vB');
+        } else {
+            this.updateElement('feeEstimates', 'Fee estimates unavailable');
+        }
+
+        this.renderFeeHistogram(mempool.feeHistogram, mempool.vsize);
+    }
+
+    // Share of the mempool's vsize in each fee band, highest band first
+    renderFeeHistogram(histogram, totalVsize) {
+        const container = document.getElementById('feeHistogram');
+        if (!container) return;
+
+        if (!histogram || !totalVsize) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const bands = [50, 20, 10, 5, 2, 0].map(min => ({ min, vsize: 0 }));
+        histogram.forEach(({ feeRate, vsize }) => {
+            bands.find(band => feeRate >= band.min).vsize += vsize;
+        });
+
+        container.innerHTML = bands.map((band, i) => {
+            const label = i === 0 ? `${band.min}+` : `${band.min}–${bands[i - 1].min}`;
+            const width = (band.vsize / totalVsize) * 100;
+            return `<div class="fee-band" style="width: ${width}%" title="${label} sat/vB: ${(band.vsize / 1e6).toFixed(2)} MvB"></div>`;
+        }).join('');
+    }
+
+    async fetchPoolData() {
+        try {
+            const response = await fetch(`${this.apiBase}/pools?window=${this.poolWindow}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('Error fetching pool data:', error);
+            return null;
+        }
+    }
+
+    async changePoolWindow(poolWindow) {
+        this.poolWindow = poolWindow;
+        const pools = await this.fetchPoolData();
+        if (pools) {
+            this.updatePoolSection(pools);
+        }
+    }
+
+    updatePoolSection(pools) {
+        this.pools = pools;
+
+        const list = document.getElementById('poolList');
+        if (list) {
+            // Pool names come from an editable definitions file, so build the list as text
+            list.replaceChildren(...pools.pools.map(pool => {
+                const item = document.createElement('li');
+                const name = document.createElement('span');
+                const share = document.createElement('span');
+                name.textContent = pool.name;
+                share.className = 'pool-share';
+                share.textContent = `${this.formatNumber(pool.blocks, 0)} blocks · ${this.formatNumber(pool.hashrateShare, 1)}%`;
+                item.append(name, share);
+                return item;
+            }));
+        }
+
+        const coverage = pools.coverage.complete
+            ? `${this.formatNumber(pools.totalBlocks, 0)} blocks`
+            : `${this.formatNumber(pools.totalBlocks, 0)} blocks so far · older blocks are still being collected`;
+        this.updateElement('poolCoverage', coverage);
+
+        if (this.poolChart) {
+            this.poolChart.data.labels = pools.pools.map(pool => pool.name);
+            this.poolChart.data.datasets[0].data = pools.pools.map(pool => pool.blocks);
+            this.poolChart.data.datasets[0].backgroundColor = this.getPoolColors(pools.pools);
+            this.poolChart.update();
+        }
+    }
+
+    getPoolColors(pools) {
+        const palette = ['#f7931a', '#00d084', '#4f8ff7', '#e05d5d', '#b36bff', '#f2c94c', '#2ec4b6', '#ff8fab', '#8d99ae', '#6a994e'];
+        let next = 0;
+        return pools.map(pool => pool.id === 'unknown' ? '#6e7681' : palette[next++ % palette.length]);
+    }
+
     updateElement(id, value) {
         const element = document.getElementById(id);
         if (element && element.textContent !== value) {
@@ -351,6 +572,45 @@ class BitcoinTracker {
     setupCharts() {
         this.setupMiningChart();
         this.setupPriceChart();
+        this.setupPoolChart();
+    }
+
+    setupPoolChart() {
+        const ctx = document.getElementById('poolChart');
+        if (!ctx) return;
+
+        if (this.poolChart) {
+            this.poolChart.destroy();
+        }
+
+        const isDark = this.currentTheme === 'dark';
+        const textColor = isDark ? '#f0f6fc' : '#212529';
+        const pools = this.pools ? this.pools.pools : [];
+
+        this.poolChart = new Chart(ctx, {
+            type: 'doughnut',
+            data: {
+                labels: pools.map(pool => pool.name),
+                datasets: [{
+                    label: 'Blocks',
+                    data: pools.map(pool => pool.blocks),
+                    backgroundColor: this.getPoolColors(pools),
+                    borderWidth: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'right',
+                        labels: {
+                            color: textColor
+                        }
+                    }
+                }
+            }
+        });
     }
 
     setupMiningChart() {
@@ -368,10 +628,10 @@ class BitcoinTracker {
         this.chart = new Chart(ctx, {
             type: 'line',
             data: {
-                labels: this.generateTimeLabels(),
+                labels: this.getHistoryLabels(this.history.supply),
                 datasets: [{
                     label: 'Bitcoin Mined',
-                    data: this.generateMiningData(),
+                    data: this.history.supply.map(point => point.value / 1000000),
                     borderColor: '#f7931a',
                     backgroundColor: 'rgba(247, 147, 26, 0.1)',
                     borderWidth: 3,
@@ -380,8 +640,8 @@ class BitcoinTracker {
                     pointBackgroundColor: '#f7931a',
                     pointBorderColor: '#ffffff',
                     pointBorderWidth: 2,
-                    pointRadius: 6,
-                    pointHoverRadius: 8
+                    pointRadius: 0,
+                    pointHoverRadius: 6
                 }]
             },
             options: {
@@ -448,10 +708,10 @@ class BitcoinTracker {
         this.priceChart = new Chart(ctx, {
             type: 'line',
             data: {
-                labels: this.generatePriceTimeLabels(),
+                labels: this.getHistoryLabels(this.history.price),
                 datasets: [{
-                    label: 'Bitcoin Price (USD)',
-                    data: this.generatePriceData(),
+                    label: `Bitcoin Price (${this.selectedCurrency})`,
+                    data: this.history.price.map(point => point.value),
                     borderColor: '#00d084',
                     backgroundColor: 'rgba(0, 208, 132, 0.1)',
                     borderWidth: 3,
@@ -460,7 +720,7 @@ class BitcoinTracker {
                     pointBackgroundColor: '#00d084',
                     pointBorderColor: '#ffffff',
                     pointBorderWidth: 2,
-                    pointRadius: 4,
+                    pointRadius: 0,
                     pointHoverRadius: 6
                 }]
             },
@@ -513,81 +773,152 @@ class BitcoinTracker {
         });
     }
 
-    generateTimeLabels() {
-        const labels = [];
-        const now = new Date();
-        for (let i = 6; i >= 0; i--) {
-            const date = new Date(now);
-            date.setDate(date.getDate() - i);
-            labels.push(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
-        }
-        return labels;
+    async loadHistory() {
+        const from = new Date(Date.now() - this.historyDays * 24 * 60 * 60 * 1000).toISOString();
+        const [supply, price] = await Promise.all([
+            this.fetchHistory('circulatingSupply', from),
+            this.fetchPriceHistory()
+        ]);
+
+        this.history = { supply, price };
     }
 
-    generateMiningData() {
-        // Generate realistic mining progression data
-        const baseValue = 19.5; // Million BTC
-        const data = [];
-        for (let i = 0; i < 7; i++) {
-            data.push(baseValue + (i * 0.009)); // Approximately 900 BTC per day
+    // Hourly closes in the selected currency, shaped like fetchHistory() points
+    async fetchPriceHistory() {
+        try {
+            const currency = this.selectedCurrency.toLowerCase();
+            const response = await fetch(`${this.apiBase}/price/history?currency=${currency}&range=${this.historyDays}d&interval=1h`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            return data.candles.map(candle => ({ timestamp: candle.time, value: candle.close }));
+        } catch (error) {
+            console.error('Error fetching price history:', error);
+            return [];
         }
-        return data;
     }
 
-    generatePriceTimeLabels() {
-        const labels = [];
-        const now = new Date();
-        for (let i = 6; i >= 0; i--) {
-            const date = new Date(now);
-            date.setDate(date.getDate() - i);
-            labels.push(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
+    async fetchHistory(metric, from) {
+        try {
+            const response = await fetch(`${this.apiBase}/history?metric=${metric}&from=${encodeURIComponent(from)}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            return data.points;
+        } catch (error) {
+            console.error(`Error fetching ${metric} history:`, error);
+            return [];
         }
-        return labels;
     }
 
-    generatePriceData() {
-        // Generate realistic price data (this would come from API in real implementation)
-        const basePrice = 67000;
-        const data = [];
-        for (let i = 0; i < 7; i++) {
-            const variation = (Math.random() - 0.5) * 0.1; // ±5% variation
-            data.push(Math.round(basePrice * (1 + variation)));
-        }
-        return data;
+    getHistoryLabels(points) {
+        return points.map(point => new Date(point.timestamp).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit'
+        }));
     }
 
-    updateCharts(data) {
+    async updateCharts() {
+        // Charts are drawn from the server's stored snapshots, not from the live values
+        await this.loadHistory();
+
         if (this.chart) {
-            // Update mining chart with new data
-            this.chart.data.datasets[0].data.push(data.current.totalBitcoinsInCirculation / 1000000);
-            this.chart.data.datasets[0].data.shift();
-            
-            // Add new label
-            const today = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-            this.chart.data.labels.push(today);
-            this.chart.data.labels.shift();
-            
+            this.chart.data.labels = this.getHistoryLabels(this.history.supply);
+            this.chart.data.datasets[0].data = this.history.supply.map(point => point.value / 1000000);
             this.chart.update('active');
         }
 
-        if (this.priceChart && data.price) {
-            // Update price chart with new data
-            this.priceChart.data.datasets[0].data.push(data.price.current);
-            this.priceChart.data.datasets[0].data.shift();
-            
-            // Add new label
-            const today = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-            this.priceChart.data.labels.push(today);
-            this.priceChart.data.labels.shift();
-            
+        if (this.priceChart) {
+            this.priceChart.data.labels = this.getHistoryLabels(this.history.price);
+            this.priceChart.data.datasets[0].label = `Bitcoin Price (${this.selectedCurrency})`;
+            this.priceChart.data.datasets[0].data = this.history.price.map(point => point.value);
             this.priceChart.update('active');
         }
     }
 
-    startAutoRefresh() {
-        setInterval(() => {
+    startPolling() {
+        if (this.pollTimer) return;
+
+        this.pollTimer = setInterval(() => {
             this.loadRealTimeData();
         }, this.updateInterval);
+    }
+
+    connectStream() {
+        if (typeof EventSource === 'undefined') return false;
+
+        const stream = new EventSource(`${this.apiBase}/stream`);
+        let connected = false;
+
+        stream.addEventListener('open', () => {
+            connected = true;
+        });
+
+        stream.addEventListener('error', () => {
+            // EventSource reconnects by itself after a drop; only give up if it never got through
+            if (!connected || stream.readyState === EventSource.CLOSED) {
+                stream.close();
+                this.startPolling();
+            }
+        });
+
+        ['block', 'stats', 'price', 'mempool'].forEach(type => {
+            stream.addEventListener(type, (event) => this.handleStreamEvent(type, JSON.parse(event.data)));
+        });
+
+        this.stream = stream;
+        return true;
+    }
+
+    handleStreamEvent(type, data) {
+        if (type === 'block') {
+            // Sent on connect too, so only reload when the tip actually moved
+            if (!this.data || this.data.current.currentBlockHeight !== data.height) {
+                this.loadRealTimeData();
+            }
+            return;
+        }
+
+        if (!this.data) return;
+
+        if (type === 'stats') {
+            this.data.current = {
+                ...this.data.current,
+                difficulty: data.difficulty,
+                hashRate: data.hashRate
+            };
+        } else if (type === 'price') {
+            // The server streams USD only
+            if (data.currency !== this.selectedCurrency) return;
+            this.data.price = {
+                ...this.data.price,
+                currency: data.currency,
+                current: data.current,
+                change24h: data.change24h,
+                marketCap: data.marketCap,
+                volume24h: data.volume24h,
+                timestamp: data.timestamp,
+                stale: false
+            };
+        } else if (type === 'mempool') {
+            if (!this.data.mempool) return;
+            // Fee estimates catch up on the next full refresh
+            this.data.mempool = { ...this.data.mempool, ...data };
+        }
+
+        this.updateUI(this.data);
+    }
+
+    startAutoRefresh() {
+        // Pushed updates from the server; poll only when the stream can't connect
+        if (!this.connectStream()) {
+            this.startPolling();
+        }
 
         // Also refresh on visibility change
         document.addEventListener('visibilitychange', () => {
@@ -606,7 +937,8 @@ class BitcoinTracker {
     }
 
     formatCurrency(amount, currency = 'USD', abbreviated = false) {
-        if (typeof amount !== 'number' || isNaN(amount)) return '$0';
+        // Unknown (e.g. market data when only a fallback price source answered)
+        if (typeof amount !== 'number' || isNaN(amount)) return '—';
         
         if (abbreviated && amount >= 1e9) {
             return `${currency === 'USD' ? '$' : ''}${(amount / 1e9).toFixed(1)}B`;
@@ -688,9 +1020,9 @@ class BitcoinTracker {
             },
             current: {
                 currentBlockHeight: 850000,
-                currentBlockReward: 6.25,
+                currentBlockReward: this.getCurrentBlockReward(850000),
                 difficulty: 61000000000000,
-                networkHashRate: 500000000000000000000,
+                hashRate: 500000000000000000000,
                 totalBitcoinsInCirculation: 19750000
             },
             daily: {
@@ -717,13 +1049,11 @@ class BitcoinTracker {
                 currency: this.selectedCurrency
             },
             mempool: {
-                pendingTransactions: 15000,
-                mempoolSize: 50 * 1024 * 1024, // 50 MB
-                fees: {
-                    fastest: 25,
-                    halfHour: 18,
-                    hour: 12
-                }
+                count: 15000,
+                vsize: 50000000,
+                totalFee: 25000000,
+                feeHistogram: null,
+                fees: null
             },
             lastUpdated: new Date().toISOString()
         };
@@ -748,9 +1078,9 @@ document.addEventListener('DOMContentLoaded', () => {
             },
             current: {
                 currentBlockHeight: 850000,
-                currentBlockReward: 6.25,
+                currentBlockReward: this.getCurrentBlockReward(850000),
                 difficulty: 61000000000000,
-                networkHashRate: 500000000000000000000,
+                hashRate: 500000000000000000000,
                 totalBitcoinsInCirculation: 19750000
             },
             daily: {
@@ -0,0 +1,165 @@
+/**
+ * Opt-in for Web Push notifications (new blocks, halving milestones and
+ * price thresholds).
+ *
+ * The service worker is only registered once the user opts in. On later
+ * visits the existing subscription is sent to the server again, and renewed
+ * first if the browser says it has expired.
+ */
+class PushNotifications {
+    constructor(apiBase = '/api') {
+        this.apiBase = apiBase;
+        this.registration = null;
+        this.button = null;
+    }
+
+    isSupported() {
+        return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+    }
+
+    async init(button) {
+        this.button = button;
+        if (!button) return;
+
+        if (!this.isSupported()) {
+            button.hidden = true;
+            return;
+        }
+
+        button.addEventListener('click', () => this.toggle());
+
+        try {
+            this.registration = await navigator.serviceWorker.getRegistration();
+            const subscription = await this.getSubscription();
+
+            if (subscription && Notification.permission === 'granted') {
+                await this.saveSubscription(await this.renewIfExpired(subscription));
+                this.render('on');
+            } else {
+                this.render(Notification.permission === 'denied' ? 'denied' : 'off');
+            }
+        } catch (error) {
+            console.error('Error restoring push subscription:', error);
+            this.render('off');
+        }
+    }
+
+    async getSubscription() {
+        return this.registration ? this.registration.pushManager.getSubscription() : null;
+    }
+
+    async toggle() {
+        this.button.disabled = true;
+
+        try {
+            if (await this.getSubscription()) {
+                await this.unsubscribe();
+            } else {
+                await this.subscribe();
+            }
+        } catch (error) {
+            console.error('Error updating push subscription:', error);
+            this.render('error');
+        } finally {
+            this.button.disabled = false;
+        }
+    }
+
+    async subscribe() {
+        // The browser only prompts once; after a denial the user has to change it in site settings
+        if (Notification.permission === 'denied') {
+            this.render('denied');
+            return;
+        }
+
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            this.render(permission === 'denied' ? 'denied' : 'off');
+            return;
+        }
+
+        this.registration = await navigator.serviceWorker.register('/sw.js');
+        await navigator.serviceWorker.ready;
+
+        const subscription = await this.createSubscription();
+        await this.saveSubscription(subscription);
+        this.render('on');
+    }
+
+    async unsubscribe() {
+        const subscription = await this.getSubscription();
+        if (subscription) {
+            // The keys show the server this browser owns the subscription
+            const { endpoint, keys } = subscription.toJSON();
+            await fetch(`${this.apiBase}/push/unsubscribe`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ endpoint, keys })
+            });
+            await subscription.unsubscribe();
+        }
+
+        this.render('off');
+    }
+
+    async createSubscription() {
+        const response = await fetch(`${this.apiBase}/push/public-key`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const { publicKey } = await response.json();
+        return this.registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: this.decodeKey(publicKey)
+        });
+    }
+
+    async renewIfExpired(subscription) {
+        if (!subscription.expirationTime || subscription.expirationTime > Date.now()) {
+            return subscription;
+        }
+
+        const { endpoint, keys } = subscription.toJSON();
+        await subscription.unsubscribe();
+        const renewed = await this.createSubscription();
+        renewed.oldEndpoint = endpoint;
+        renewed.oldKeys = keys;
+        return renewed;
+    }
+
+    async saveSubscription(subscription) {
+        const response = await fetch(`${this.apiBase}/push/subscribe`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                subscription: subscription.toJSON(),
+                oldEndpoint: subscription.oldEndpoint,
+                oldKeys: subscription.oldKeys
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+    }
+
+    // VAPID keys are URL-safe base64; PushManager wants the raw bytes
+    decodeKey(base64) {
+        const padding = '='.repeat((4 - base64.length % 4) % 4);
+        const raw = atob((base64 + padding).replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(raw, char => char.charCodeAt(0));
+    }
+
+    render(state) {
+        const states = {
+            on: { icon: '🔔', title: 'Notifications on (click to turn off)' },
+            off: { icon: '🔕', title: 'Get notified about new blocks, halvings and price moves' },
+            denied: { icon: '🔕', title: 'Notifications are blocked in your browser settings' },
+            error: { icon: '⚠️', title: 'Could not update notifications, click to try again' }
+        };
+
+        this.button.textContent = states[state].icon;
+        this.button.title = states[state].title;
+    }
+}
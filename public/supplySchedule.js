@@ -0,0 +1,174 @@
+/**
+ * Protocol-exact Bitcoin subsidy and supply schedule.
+ *
+ * Shared by the server (require('./public/supplySchedule')) and the browser
+ * (window.SupplySchedule). Subsidies are computed in integer satoshis with a
+ * right shift, exactly like GetBlockSubsidy() in Bitcoin Core, so cumulative
+ * issuance lands on the real 20,999,999.9769 BTC cap rather than 21,000,000.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SupplySchedule = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const COIN = 100000000n;
+    const SATOSHIS_PER_BITCOIN = 100000000;
+    const HALVING_INTERVAL = 210000;
+    const INITIAL_SUBSIDY_SATS = 50n * COIN;
+    // Consensus returns zero once the shift would reach 64 bits
+    const MAX_HALVINGS = 64;
+
+    function assertHeight(height) {
+        if (!Number.isInteger(height) || height < 0) {
+            throw new RangeError(`Block height must be a non-negative integer, got ${height}`);
+        }
+    }
+
+    function getEra(height) {
+        assertHeight(height);
+        return Math.floor(height / HALVING_INTERVAL);
+    }
+
+    /**
+     * Subsidy for a block in satoshis (BigInt)
+     */
+    function getBlockSubsidySats(height) {
+        const halvings = getEra(height);
+        if (halvings >= MAX_HALVINGS) return 0n;
+        return INITIAL_SUBSIDY_SATS >> BigInt(halvings);
+    }
+
+    /**
+     * Subsidy for a block in BTC
+     */
+    function getBlockSubsidy(height) {
+        return Number(getBlockSubsidySats(height)) / SATOSHIS_PER_BITCOIN;
+    }
+
+    /**
+     * Total satoshis issued by blocks 0 through `height` inclusive (BigInt)
+     */
+    function getIssuedSatsAtHeight(height) {
+        assertHeight(height);
+
+        let issued = 0n;
+        let remainingBlocks = BigInt(height) + 1n;
+        const interval = BigInt(HALVING_INTERVAL);
+
+        for (let era = 0; era < MAX_HALVINGS && remainingBlocks > 0n; era++) {
+            const subsidy = INITIAL_SUBSIDY_SATS >> BigInt(era);
+            if (subsidy === 0n) break;
+
+            const blocksInEra = remainingBlocks < interval ? remainingBlocks : interval;
+            issued += blocksInEra * subsidy;
+            remainingBlocks -= blocksInEra;
+        }
+
+        return issued;
+    }
+
+    /**
+     * Total BTC issued by blocks 0 through `height` inclusive
+     */
+    function getIssuedAtHeight(height) {
+        return Number(getIssuedSatsAtHeight(height)) / SATOSHIS_PER_BITCOIN;
+    }
+
+    /**
+     * Per-era table of every era with a non-zero subsidy
+     */
+    function getEraTable() {
+        const eras = [];
+        let cumulative = 0n;
+
+        for (let era = 0; era < MAX_HALVINGS; era++) {
+            const subsidy = INITIAL_SUBSIDY_SATS >> BigInt(era);
+            if (subsidy === 0n) break;
+
+            const eraIssuance = subsidy * BigInt(HALVING_INTERVAL);
+            cumulative += eraIssuance;
+
+            // Every value stays below 2^53, so plain numbers are exact
+            eras.push({
+                era,
+                startHeight: era * HALVING_INTERVAL,
+                endHeight: (era + 1) * HALVING_INTERVAL - 1,
+                subsidySats: Number(subsidy),
+                subsidy: Number(subsidy) / SATOSHIS_PER_BITCOIN,
+                eraIssuanceSats: Number(eraIssuance),
+                eraIssuance: Number(eraIssuance) / SATOSHIS_PER_BITCOIN,
+                cumulativeSupplySats: Number(cumulative),
+                cumulativeSupply: Number(cumulative) / SATOSHIS_PER_BITCOIN
+            });
+        }
+
+        return eras;
+    }
+
+    const ERA_TABLE = getEraTable();
+    const LAST_ERA = ERA_TABLE[ERA_TABLE.length - 1];
+    const MAX_SUPPLY_SATS = LAST_ERA.cumulativeSupplySats;
+    const MAX_SUPPLY = MAX_SUPPLY_SATS / SATOSHIS_PER_BITCOIN;
+    // Height of the last block that pays any subsidy at all
+    const LAST_SUBSIDY_HEIGHT = LAST_ERA.endHeight;
+
+    /**
+     * First height of the next era after `height`
+     */
+    function getNextHalvingHeight(height) {
+        return (getEra(height) + 1) * HALVING_INTERVAL;
+    }
+
+    /**
+     * Blocks still to be mined after `height` before subsidies reach zero
+     */
+    function getBlocksUntilLastSubsidy(height) {
+        assertHeight(height);
+        return Math.max(LAST_SUBSIDY_HEIGHT - height, 0);
+    }
+
+    /**
+     * Full schedule relative to a chain tip
+     */
+    function getSupplySchedule(height) {
+        const issuedSats = getIssuedSatsAtHeight(height);
+        const nextHalvingHeight = getNextHalvingHeight(height);
+
+        return {
+            maxSupply: MAX_SUPPLY,
+            maxSupplySats: MAX_SUPPLY_SATS,
+            halvingInterval: HALVING_INTERVAL,
+            currentHeight: height,
+            currentEra: getEra(height),
+            currentSubsidy: getBlockSubsidy(height),
+            issued: Number(issuedSats) / SATOSHIS_PER_BITCOIN,
+            issuedSats: Number(issuedSats),
+            remaining: (MAX_SUPPLY_SATS - Number(issuedSats)) / SATOSHIS_PER_BITCOIN,
+            percentageIssued: (Number(issuedSats) / MAX_SUPPLY_SATS) * 100,
+            nextHalvingHeight,
+            nextSubsidy: getBlockSubsidy(nextHalvingHeight),
+            lastSubsidyHeight: LAST_SUBSIDY_HEIGHT,
+            blocksUntilLastSubsidy: getBlocksUntilLastSubsidy(height),
+            eras: ERA_TABLE.map(era => ({ ...era }))
+        };
+    }
+
+    return {
+        SATOSHIS_PER_BITCOIN,
+        HALVING_INTERVAL,
+        MAX_SUPPLY,
+        MAX_SUPPLY_SATS,
+        LAST_SUBSIDY_HEIGHT,
+        getEra,
+        getBlockSubsidySats,
+        getBlockSubsidy,
+        getIssuedSatsAtHeight,
+        getIssuedAtHeight,
+        getEraTable: () => ERA_TABLE.map(era => ({ ...era })),
+        getNextHalvingHeight,
+        getBlocksUntilLastSubsidy,
+        getSupplySchedule
+    };
+}));
@@ -1,5 +1,5 @@
 // Bitcoin Tracker Service Worker
-const CACHE_NAME = 'bitcoin-tracker-v1';
+const CACHE_NAME = 'bitcoin-tracker-v2';
 const urlsToCache = [
   '/',
   '/index.html',
@@ -7,6 +7,8 @@ const urlsToCache = [
   '/styles.css',
   '/enhanced-styles.css',
   '/app.js',
+  '/supplySchedule.js',
+  '/pushNotifications.js',
   '/manifest.json',
   'https://cdn.jsdelivr.net/npm/chart.js',
   'https://cdn.jsdelivr.net/npm/chartjs-adapter-date-fns/dist/chartjs-adapter-date-fns.bundle.min.js'
@@ -25,6 +27,12 @@ self.addEventListener('install', (event) => {
 
 // Fetch event
 self.addEventListener('fetch', (event) => {
+  // Live data (including the /api/stream event stream) always goes to the network
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || (url.origin === self.location.origin && url.pathname.startsWith('/api/'))) {
+    return;
+  }
+
   event.respondWith(
     caches.match(event.request)
       .then((response) => {
@@ -107,8 +115,9 @@ self.addEventListener('push', (event) => {
       body: data.body,
       icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 192 192"><rect width="192" height="192" fill="%23f7931a" rx="48"/><text x="96" y="140" font-size="120" text-anchor="middle" fill="white">₿</text></svg>',
       badge: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 96 96"><rect width="96" height="96" fill="%23f7931a" rx="24"/><text x="48" y="70" font-size="60" text-anchor="middle" fill="white">₿</text></svg>',
-      tag: 'bitcoin-tracker',
+      tag: data.tag || 'bitcoin-tracker',
       renotify: true,
+      data: { url: data.url || '/' },
       actions: [
         {
           action: 'view',
@@ -128,6 +137,36 @@ self.addEventListener('notificationclick', (event) => {
   event.notification.close();
 
   event.waitUntil(
-    clients.openWindow('/')
+    clients.openWindow((event.notification.data && event.notification.data.url) || '/')
   );
-});
\ No newline at end of file
+});
+
+// The browser rotated or expired the subscription; subscribe again and tell the server
+self.addEventListener('pushsubscriptionchange', (event) => {
+  event.waitUntil(resubscribe(event.oldSubscription));
+});
+
+async function resubscribe(oldSubscription) {
+  // The old keys show the server we own the subscription being replaced
+  const old = oldSubscription ? oldSubscription.toJSON() : {};
+
+  const response = await fetch('/api/push/public-key');
+  const { publicKey } = await response.json();
+  const padding = '='.repeat((4 - publicKey.length % 4) % 4);
+  const rawKey = atob((publicKey + padding).replace(/-/g, '+').replace(/_/g, '/'));
+
+  const subscription = await self.registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: Uint8Array.from(rawKey, char => char.charCodeAt(0))
+  });
+
+  await fetch('/api/push/subscribe', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      subscription,
+      oldEndpoint: old.endpoint,
+      oldKeys: old.keys
+    })
+  });
+}
\ No newline at end of file
@@ -1,191 +1,89 @@
-require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const path = require('path');
-const BitcoinDataService = require('./services/bitcoinDataService');
-
-const app = express();
-const port = process.env.PORT || 3000;
-
-// Initialize Bitcoin data service
-const bitcoinService = new BitcoinDataService();
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static('public'));
-
-// Cache for API responses (5 minute cache)
-const cache = new Map();
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
-
-function getCachedData(key) {
-  const cached = cache.get(key);
-  if (cached && (Date.now() - cached.timestamp) < CACHE_DURATION) {
-    return cached.data;
-  }
-  return null;
-}
+// Loaded first: invalid configuration stops the process before anything starts
+const { config } = require('./config');
+const { app, drain, services } = require('./app');
+const { logger } = require('./services/logger');
+
+const {
+  bitcoinService,
+  historyStore,
+  snapshotScheduler,
+  alertStore,
+  alertEngine,
+  chainWatcher,
+  pushSubscriptions,
+  pushNotifier,
+  apiKeys,
+  rateLimiter,
+  cache
+} = services;
+
+const port = config.server.port;
 
-function setCachedData(key, data) {
-  cache.set(key, {
-    data,
-    timestamp: Date.now()
+// Start server
+const server = app.listen(port, () => {
+  logger.info('Bitcoin Mining Tracker server is running', {
+    port,
+    dashboard: `http://localhost:${port}`,
+    api: `http://localhost:${port}/api`,
+    health: `http://localhost:${port}/api/health/ready`,
+    cache: cache.name
   });
-}
-
-// API Routes
-
-// Get comprehensive mining summary
-app.get('/api/mining-summary', async (req, res) => {
-  try {
-    const cacheKey = 'mining-summary';
-    let data = getCachedData(cacheKey);
-    
-    if (!data) {
-      data = await bitcoinService.getMiningSummary();
-      setCachedData(cacheKey, data);
-    }
-    
-    res.json(data);
-  } catch (error) {
-    console.error('Error fetching mining summary:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch mining summary',
-      message: error.message 
-    });
-  }
-});
-
-// Get current Bitcoin statistics
-app.get('/api/current-stats', async (req, res) => {
-  try {
-    const cacheKey = 'current-stats';
-    let data = getCachedData(cacheKey);
-    
-    if (!data) {
-      data = await bitcoinService.getCurrentStats();
-      setCachedData(cacheKey, data);
-    }
-    
-    res.json(data);
-  } catch (error) {
-    console.error('Error fetching current stats:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch current statistics',
-      message: error.message 
-    });
-  }
-});
-
-// Get daily mining data
-app.get('/api/daily-stats', async (req, res) => {
-  try {
-    const cacheKey = 'daily-stats';
-    let data = getCachedData(cacheKey);
-    
-    if (!data) {
-      data = await bitcoinService.getDailyMiningData();
-      setCachedData(cacheKey, data);
-    }
-    
-    res.json(data);
-  } catch (error) {
-    console.error('Error fetching daily stats:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch daily statistics',
-      message: error.message 
-    });
-  }
-});
 
-// Get remaining Bitcoin information
-app.get('/api/remaining', async (req, res) => {
-  try {
-    const cacheKey = 'remaining';
-    let data = getCachedData(cacheKey);
-    
-    if (!data) {
-      data = await bitcoinService.getRemainingBitcoin();
-      setCachedData(cacheKey, data);
-    }
-    
-    res.json(data);
-  } catch (error) {
-    console.error('Error fetching remaining Bitcoin data:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch remaining Bitcoin data',
-      message: error.message 
-    });
-  }
-});
+  snapshotScheduler.start();
+  logger.info('History snapshots scheduled', { schedule: snapshotScheduler.schedule });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    version: '1.0.0'
-  });
-});
+  alertEngine.start();
+  logger.info('Alert rules evaluated on schedule', { schedule: alertEngine.schedule });
 
-// API documentation endpoint
-app.get('/api', (req, res) => {
-  res.json({
-    name: 'Bitcoin Mining Tracker API',
-    version: '1.0.0',
-    description: 'API for tracking Bitcoin mining statistics and remaining supply',
-    endpoints: {
-      'GET /api/mining-summary': 'Get comprehensive mining summary with all data',
-      'GET /api/current-stats': 'Get current Bitcoin blockchain statistics',
-      'GET /api/daily-stats': 'Get daily mining data for the last 24 hours',
-      'GET /api/remaining': 'Get remaining Bitcoin supply information',
-      'GET /api/health': 'Health check endpoint',
-      'GET /api': 'This API documentation'
-    },
-    cache: 'All endpoints are cached for 5 minutes to reduce API load',
-    dataSource: 'blockchain.info API'
-  });
+  pushNotifier.start();
 });
 
-// Serve the main application
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+// Graceful shutdown: stop accepting connections, let in-flight requests and
+// running snapshot or alert jobs finish, end event streams, flush the stores
+// and exit. Whatever is still running after SHUTDOWN_TIMEOUT_MS is cut off.
+const SHUTDOWN_TIMEOUT_MS = config.server.shutdownTimeoutMs;
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({ 
-    error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
-  });
-});
+let shuttingDown = false;
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ 
-    error: 'Not found',
-    message: 'The requested resource was not found'
-  });
-});
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info(`${signal} received, shutting down gracefully`, { timeoutMs: SHUTDOWN_TIMEOUT_MS });
 
-// Start server
-app.listen(port, () => {
-  console.log(`🚀 Bitcoin Mining Tracker server is running on port ${port}`);
-  console.log(`📊 Dashboard: http://localhost:${port}`);
-  console.log(`🔌 API: http://localhost:${port}/api`);
-  console.log(`🏥 Health: http://localhost:${port}/api/health`);
-});
+  const deadline = setTimeout(() => {
+    logger.error('Shutdown timed out, closing remaining connections');
+    if (server.closeAllConnections) server.closeAllConnections();
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  deadline.unref();
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
+  try {
+    const closed = new Promise(resolve => server.close(resolve));
+
+    drain();
+    chainWatcher.stop();
+    if (server.closeIdleConnections) server.closeIdleConnections();
+
+    await Promise.all([closed, snapshotScheduler.stop(), alertEngine.stop()]);
+    logger.info('Requests and scheduled jobs finished');
+
+    rateLimiter.stop();
+    await Promise.all([
+      historyStore.flush(),
+      bitcoinService.poolTracker.flush(),
+      alertStore.flush(),
+      pushSubscriptions.flush(),
+      apiKeys.flush()
+    ]);
+    await cache.close();
+
+    logger.info('Shutdown complete');
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error during shutdown', { error });
+    process.exit(1);
+  }
+}
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,76 @@
+const os = require('os');
+
+// Serverless functions can only write to the temp directory, which lasts as
+// long as the instance. Point DATA_DIR (or the *_FILE settings) at mounted
+// storage to keep history, alerts and keys. Set before the config loads.
+process.env.DATA_DIR = process.env.DATA_DIR || os.tmpdir();
+
+const serverless = require('serverless-http');
+const { config } = require('./config');
+const { app, services } = require('./app');
+const { logger } = require('./services/logger');
+
+/**
+ * Entry points for Vercel and AWS Lambda, where there is no long-running
+ * process: nothing listens on a port, the cron schedules don't run and no
+ * signal handlers are installed. Each scheduled job is its own entry point,
+ * triggered by Vercel Cron or an EventBridge schedule, and flushes its store
+ * before returning since the instance may be frozen right after.
+ */
+const JOBS = {
+  async snapshot() {
+    const record = await services.snapshotScheduler.takeSnapshot();
+    await services.historyStore.flush();
+    return { saved: Boolean(record) };
+  },
+
+  async alerts() {
+    await services.alertEngine.evaluate();
+    await services.alertStore.flush();
+    return { evaluated: services.alertStore.list().filter(rule => rule.enabled).length };
+  }
+};
+
+async function runJob(name) {
+  const startedAt = Date.now();
+  const result = await JOBS[name]();
+  logger.info('Scheduled job finished', { job: name, durationMs: Date.now() - startedAt, ...result });
+  return { job: name, ...result };
+}
+
+/**
+ * A Vercel function running a job. Vercel Cron sends CRON_SECRET as a bearer
+ * token; without one set, anyone can trigger the job.
+ */
+function createCronHandler(name) {
+  return async (req, res) => {
+    if (config.cron.secret && req.headers.authorization !== `Bearer ${config.cron.secret}`) {
+      res.statusCode = 401;
+      res.setHeader('Content-Type', 'application/json');
+      return res.end(JSON.stringify({ error: 'Unauthorized', message: 'Missing or invalid CRON_SECRET' }));
+    }
+
+    try {
+      const result = await runJob(name);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(result));
+    } catch (error) {
+      logger.error('Scheduled job failed', { job: name, error });
+      res.statusCode = 500;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ error: 'Scheduled job failed', message: error.message }));
+    }
+  };
+}
+
+module.exports = {
+  app,
+  createCronHandler,
+
+  // Lambda behind API Gateway (REST or HTTP API) or a function URL
+  handler: serverless(app),
+
+  // Lambda on an EventBridge schedule
+  snapshot: () => runJob('snapshot'),
+  alerts: () => runJob('alerts')
+};
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const cron = require('node-cron');
+const { RULE_TYPES, isWebhookAllowed } = require('./alertRules');
+const { logger, logHttpClient } = require('./logger');
+const { config } = require('../config');
+
+/**
+ * Evaluates alert rules on a cron schedule and delivers triggered alerts to
+ * an HTTP webhook (the rule's webhookUrl if ALERT_WEBHOOK_ALLOWLIST allows it,
+ * or ALERT_WEBHOOK_URL).
+ *
+ * A rule fires when its condition becomes true for a new situation: it won't
+ * repeat while the condition stays true for the same key, and never more often
+ * than its cooldown (cooldownMinutes, default ALERT_COOLDOWN_MINUTES or 60).
+ *
+ * When ALERT_WEBHOOK_SECRET is set, each delivery carries an
+ * X-Alert-Signature header: sha256=<HMAC-SHA256 of the body>.
+ */
+class AlertEngine {
+  constructor(bitcoinService, alertStore, getCachedData, schedule = config.alerts.cron) {
+    this.bitcoinService = bitcoinService;
+    this.alertStore = alertStore;
+    this.getCachedData = getCachedData;
+    this.schedule = schedule;
+    this.webhookUrl = config.alerts.webhookUrl || null;
+    this.webhookSecret = config.alerts.webhookSecret || null;
+    this.defaultCooldownMinutes = config.alerts.cooldownMinutes;
+    this.http = logHttpClient(axios.create({ timeout: 10000 }), 'webhook', { originOnly: true });
+    this.task = null;
+    this.running = null; // Promise of the evaluation in progress
+    this.lastRun = null;
+  }
+
+  start() {
+    if (!cron.validate(this.schedule)) {
+      throw new Error(`Invalid ALERT_CRON expression: ${this.schedule}`);
+    }
+
+    this.task = cron.schedule(this.schedule, () => this.evaluate());
+    return this;
+  }
+
+  /**
+   * Stop the cron job. Resolves once an evaluation in progress (and the
+   * webhooks it sends) has finished.
+   */
+  async stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+    await this.running;
+  }
+
+  /**
+   * Data sources rules can ask for, read through the response cache under the
+   * API routes' keys. Each is fetched at most once per run.
+   */
+  createSources() {
+    const fetched = new Map();
+    const cached = async (key, fetcher) => (await this.getCachedData(key, fetcher)).value;
+    const loaders = {
+      price: currency => cached(`price:${currency}`, () => this.bitcoinService.getPriceData(currency)),
+      difficulty: () => cached('difficulty', () => this.bitcoinService.getDifficultyAdjustment()),
+      stats: () => cached('current-stats', () => this.bitcoinService.getCurrentStats()),
+      latestBlock: () => cached('latest-block', () => this.bitcoinService.getLatestBlock()),
+      mempool: () => cached('mempool', () => this.bitcoinService.getMempoolData())
+    };
+
+    return ([name, ...args]) => {
+      const key = [name, ...args].join(':');
+      if (!fetched.has(key)) {
+        fetched.set(key, loaders[name](...args));
+      }
+      return fetched.get(key);
+    };
+  }
+
+  /**
+   * Evaluate every enabled rule once, unless an evaluation is already running
+   */
+  evaluate() {
+    if (this.running) return Promise.resolve(null);
+
+    this.running = this.evaluateRules().finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  async evaluateRules() {
+    try {
+      const rules = this.alertStore.list().filter(rule => rule.enabled);
+      const load = this.createSources();
+      const results = await Promise.all(rules.map(async rule => [rule, await this.evaluateRule(rule, load)]));
+
+      if (results.length > 0) {
+        await this.alertStore.saveStates(results);
+      }
+
+      this.lastRun = new Date().toISOString();
+      return results;
+    } catch (error) {
+      logger.error('Error evaluating alerts', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * New state for one rule, delivering an alert if it fires
+   */
+  async evaluateRule(rule, load) {
+    const ruleType = RULE_TYPES[rule.type];
+    const state = { ...rule.state, lastEvaluatedAt: new Date().toISOString() };
+
+    let result;
+    try {
+      const data = await load(ruleType.source(rule.params));
+      result = ruleType.evaluate(rule.params, data, rule.state);
+    } catch (error) {
+      // Leave the rule as it was; the data source will be retried next run
+      return { ...state, lastError: error.message };
+    }
+
+    const alreadyReported = rule.state.active && rule.state.key === result.key;
+    const cooldownMinutes = rule.cooldownMinutes !== null && rule.cooldownMinutes !== undefined
+      ? rule.cooldownMinutes
+      : this.defaultCooldownMinutes;
+    const coolingDown = rule.state.lastTriggeredAt &&
+      Date.now() - Date.parse(rule.state.lastTriggeredAt) < cooldownMinutes * 60000;
+
+    state.active = result.triggered;
+    state.key = result.key;
+    state.lastValue = result.value;
+    state.lastError = null;
+
+    if (result.triggered && !alreadyReported && !coolingDown) {
+      state.lastTriggeredAt = state.lastEvaluatedAt;
+      state.lastMessage = result.message;
+      state.lastDelivery = await this.deliver(rule, result, state.lastTriggeredAt);
+    }
+
+    return state;
+  }
+
+  /**
+   * POST an alert to the rule's webhook. Returns a delivery record rather
+   * than throwing, so one bad webhook can't hold up other rules. The record is
+   * shown by GET /api/alerts, so it carries the status but not the error
+   * itself, which only goes to the log.
+   */
+  async deliver(rule, result, triggeredAt) {
+    const url = rule.webhookUrl || this.webhookUrl;
+    const attemptedAt = new Date().toISOString();
+
+    // Rules saved before the allowlist was narrowed
+    if (rule.webhookUrl && !isWebhookAllowed(rule.webhookUrl)) {
+      logger.warn('Alert webhook not on the allowlist', { rule: rule.name });
+      return { ok: false, status: null, error: 'Webhook not allowed', attemptedAt };
+    }
+
+    if (!url) {
+      logger.info('Alert triggered without a webhook configured', { rule: rule.name, alert: result.message });
+      return { ok: false, status: null, error: 'No webhook configured', attemptedAt };
+    }
+
+    // `text` lets Slack-style incoming webhooks display the alert as is
+    const body = JSON.stringify({
+      text: result.message,
+      alert: {
+        ruleId: rule.id,
+        name: rule.name,
+        type: rule.type,
+        message: result.message,
+        value: result.value,
+        params: rule.params,
+        triggeredAt
+      }
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.webhookSecret) {
+      headers['X-Alert-Signature'] = 'sha256=' + crypto.createHmac('sha256', this.webhookSecret).update(body).digest('hex');
+    }
+
+    try {
+      const response = await this.http.post(url, body, { headers });
+      logger.info('Alert delivered', { rule: rule.name, alert: result.message });
+      return { ok: true, status: response.status, error: null, attemptedAt };
+    } catch (error) {
+      logger.error('Alert webhook delivery failed', { rule: rule.name, error: error.message });
+      return {
+        ok: false,
+        status: error.response ? error.response.status : null,
+        error: 'Delivery failed',
+        attemptedAt
+      };
+    }
+  }
+}
+
+module.exports = AlertEngine;
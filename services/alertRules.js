@@ -0,0 +1,205 @@
+const supplySchedule = require('../public/supplySchedule');
+const PriceService = require('./priceService');
+const { config } = require('../config');
+
+/**
+ * Alert rule types.
+ *
+ * Each type declares its parameters, which data source it needs and how to
+ * evaluate it. evaluate() returns:
+ *   { triggered, value, key, message }
+ * `key` identifies the situation being reported (an epoch, a halving, a
+ * stalled tip), so the same situation is only reported once.
+ */
+const RULE_TYPES = {
+  price_cross: {
+    description: 'Price crosses a level in a currency',
+    params: {
+      price: { type: 'number', required: true, min: 0 },
+      currency: { type: 'enum', values: PriceService.CURRENCIES, default: 'usd' },
+      direction: { type: 'enum', values: ['up', 'down', 'either'], default: 'either' }
+    },
+    source: params => ['price', params.currency],
+    evaluate(params, price, state) {
+      const value = price.current;
+      const previous = state.lastValue;
+      const crossedUp = typeof previous === 'number' && previous < params.price && value >= params.price;
+      const crossedDown = typeof previous === 'number' && previous > params.price && value <= params.price;
+      const triggered = params.direction === 'up' ? crossedUp
+        : params.direction === 'down' ? crossedDown
+          : crossedUp || crossedDown;
+
+      return {
+        triggered,
+        value,
+        key: null,
+        message: `Bitcoin price crossed ${crossedUp ? 'above' : 'below'} ${params.price} ${params.currency.toUpperCase()} (now ${value})`
+      };
+    }
+  },
+
+  difficulty_adjustment: {
+    description: 'Projected difficulty adjustment of at least N% either way',
+    params: {
+      percent: { type: 'number', required: true, min: 0 }
+    },
+    source: () => ['difficulty'],
+    evaluate(params, difficulty) {
+      const value = difficulty.projectedChangePercent;
+
+      return {
+        triggered: Math.abs(value) >= params.percent,
+        value,
+        key: `epoch-${difficulty.epoch}`,
+        message: `Next difficulty adjustment projected at ${value >= 0 ? '+' : ''}${value.toFixed(2)}% at block ${difficulty.nextRetargetHeight}`
+      };
+    }
+  },
+
+  halving_blocks: {
+    description: 'Fewer than N blocks until the next halving',
+    params: {
+      blocks: { type: 'number', required: true, min: 1 }
+    },
+    source: () => ['stats'],
+    evaluate(params, stats) {
+      const nextHalvingHeight = supplySchedule.getNextHalvingHeight(stats.currentBlockHeight);
+      const value = nextHalvingHeight - stats.currentBlockHeight;
+
+      return {
+        triggered: value < params.blocks,
+        value,
+        key: `halving-${nextHalvingHeight}`,
+        message: `${value} blocks until the halving at block ${nextHalvingHeight}`
+      };
+    }
+  },
+
+  block_gap: {
+    description: 'No new block for N minutes',
+    params: {
+      minutes: { type: 'number', default: 60, min: 1 }
+    },
+    source: () => ['latestBlock'],
+    evaluate(params, block) {
+      const value = (Date.now() - block.time * 1000) / 60000;
+
+      return {
+        triggered: value >= params.minutes,
+        value,
+        key: `height-${block.height}`,
+        message: `No block for ${Math.floor(value)} minutes (last block ${block.height})`
+      };
+    }
+  },
+
+  mempool_size: {
+    description: 'Mempool larger than N vMB',
+    params: {
+      vmb: { type: 'number', required: true, min: 0 }
+    },
+    source: () => ['mempool'],
+    evaluate(params, mempool) {
+      const value = mempool.vsize / 1000000;
+
+      return {
+        triggered: value > params.vmb,
+        value,
+        key: null,
+        message: `Mempool is ${value.toFixed(1)} vMB (${mempool.count} transactions)`
+      };
+    }
+  }
+};
+
+/**
+ * Whether a rule may deliver to url. The server POSTs to it and reports the
+ * outcome, so only destinations listed in ALERT_WEBHOOK_ALLOWLIST are allowed.
+ */
+function isWebhookAllowed(url, allowlist = config.alerts.webhookAllowlist) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  // Compare parsed URLs, so https://hooks.example.com doesn't also allow
+  // https://hooks.example.com.attacker.net
+  return allowlist.some(entry => {
+    const allowed = new URL(entry);
+    return target.origin === allowed.origin && target.pathname.startsWith(allowed.pathname);
+  });
+}
+
+/**
+ * Check a rule definition from a request body. Returns the normalized rule
+ * (defaults applied, unknown fields dropped) and a list of problems.
+ */
+function validateRule(input) {
+  const errors = [];
+  const body = input && typeof input === 'object' ? input : {};
+  const ruleType = RULE_TYPES[body.type];
+
+  if (!ruleType) {
+    errors.push(`type must be one of: ${Object.keys(RULE_TYPES).join(', ')}`);
+  }
+
+  if (body.name !== undefined && typeof body.name !== 'string') {
+    errors.push('name must be a string');
+  }
+
+  if (body.webhookUrl !== undefined && body.webhookUrl !== null) {
+    if (typeof body.webhookUrl !== 'string' || !/^https?:\/\//.test(body.webhookUrl)) {
+      errors.push('webhookUrl must be an http(s) URL');
+    } else if (!isWebhookAllowed(body.webhookUrl)) {
+      errors.push('webhookUrl is not on ALERT_WEBHOOK_ALLOWLIST');
+    }
+  }
+
+  if (body.cooldownMinutes !== undefined && !(typeof body.cooldownMinutes === 'number' && body.cooldownMinutes >= 0)) {
+    errors.push('cooldownMinutes must be a non-negative number');
+  }
+
+  if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  const params = {};
+  const inputParams = body.params && typeof body.params === 'object' ? body.params : {};
+
+  for (const [name, spec] of Object.entries(ruleType ? ruleType.params : {})) {
+    const value = inputParams[name];
+
+    if (value === undefined) {
+      if (spec.required) errors.push(`params.${name} is required`);
+      else params[name] = spec.default;
+      continue;
+    }
+
+    if (spec.type === 'number' && (typeof value !== 'number' || !isFinite(value) || value < spec.min)) {
+      errors.push(`params.${name} must be a number of at least ${spec.min}`);
+    } else if (spec.type === 'string' && typeof value !== 'string') {
+      errors.push(`params.${name} must be a string`);
+    } else if (spec.type === 'enum' && !spec.values.includes(String(value).toLowerCase())) {
+      errors.push(`params.${name} must be one of: ${spec.values.join(', ')}`);
+    } else {
+      params[name] = spec.type === 'number' ? value : value.toLowerCase();
+    }
+  }
+
+  return {
+    errors,
+    rule: {
+      name: body.name || (ruleType ? ruleType.description : ''),
+      type: body.type,
+      params,
+      webhookUrl: body.webhookUrl || null,
+      // null means the engine default (ALERT_COOLDOWN_MINUTES)
+      cooldownMinutes: body.cooldownMinutes !== undefined ? body.cooldownMinutes : null,
+      enabled: body.enabled !== false
+    }
+  };
+}
+
+module.exports = { RULE_TYPES, isWebhookAllowed, validateRule };
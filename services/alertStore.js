@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../config');
+
+/**
+ * Persisted alert rules and their evaluation state.
+ *
+ * Rules live in a single JSON file (ALERTS_FILE, default data/alerts.json)
+ * that is rewritten on every change. Writes go to a temporary file first and
+ * are renamed into place, so a crash never leaves a half-written file.
+ */
+class AlertStore {
+  constructor(filePath = config.alerts.file) {
+    this.filePath = filePath;
+    this.rules = new Map();
+    this.loaded = false;
+    this.saving = Promise.resolve();
+  }
+
+  load() {
+    if (this.loaded) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const rule of data.rules || []) {
+        this.rules.set(rule.id, rule);
+      }
+    }
+
+    this.loaded = true;
+  }
+
+  /**
+   * Write the current rules. Writes are queued so two never share the temp file.
+   */
+  async save() {
+    const write = async () => {
+      const tempFile = `${this.filePath}.tmp`;
+      const data = { rules: [...this.rules.values()] };
+
+      await fs.promises.writeFile(tempFile, JSON.stringify(data, null, 2));
+      await fs.promises.rename(tempFile, this.filePath);
+    };
+
+    this.saving = this.saving.then(write, write);
+    return this.saving;
+  }
+
+  /**
+   * Resolves once queued writes have finished. A failed write has already
+   * been reported to whoever made it.
+   */
+  flush() {
+    return this.saving.then(() => {}, () => {});
+  }
+
+  list() {
+    this.load();
+    return [...this.rules.values()];
+  }
+
+  get(id) {
+    this.load();
+    return this.rules.get(id) || null;
+  }
+
+  async create(definition) {
+    this.load();
+
+    const now = new Date().toISOString();
+    const rule = {
+      id: crypto.randomUUID(),
+      ...definition,
+      createdAt: now,
+      updatedAt: now,
+      state: AlertStore.initialState()
+    };
+
+    this.rules.set(rule.id, rule);
+    await this.save();
+    return rule;
+  }
+
+  /**
+   * Replace a rule's definition. Evaluation state starts over, since the old
+   * state belongs to the old condition.
+   */
+  async update(id, definition) {
+    this.load();
+
+    const existing = this.rules.get(id);
+    if (!existing) return null;
+
+    const rule = {
+      ...definition,
+      id,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString(),
+      state: AlertStore.initialState()
+    };
+
+    this.rules.set(id, rule);
+    await this.save();
+    return rule;
+  }
+
+  async remove(id) {
+    this.load();
+
+    if (!this.rules.delete(id)) return false;
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Record evaluation state for several rules in one write, given
+   * [rule as evaluated, new state] pairs
+   */
+  async saveStates(results) {
+    this.load();
+
+    for (const [evaluated, state] of results) {
+      const rule = this.rules.get(evaluated.id);
+      // Skip rules deleted or edited while they were being evaluated
+      if (rule && rule.updatedAt === evaluated.updatedAt) {
+        rule.state = state;
+      }
+    }
+
+    await this.save();
+  }
+}
+
+AlertStore.initialState = () => ({
+  active: false,
+  key: null,
+  lastValue: null,
+  lastEvaluatedAt: null,
+  lastTriggeredAt: null,
+  lastMessage: null,
+  lastDelivery: null,
+  lastError: null
+});
+
+module.exports = AlertStore;
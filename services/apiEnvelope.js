@@ -0,0 +1,61 @@
+/**
+ * Response envelope for /api/v2.
+ *
+ * Every v2 response is either { data, meta } or { error: { code, message } },
+ * where code is one of ERROR_CODES and decides the HTTP status.
+ */
+
+const ERROR_CODES = {
+  INVALID_PARAMETER: 400,
+  API_KEY_REQUIRED: 401,
+  INVALID_API_KEY: 401,
+  NOT_FOUND: 404,
+  RATE_LIMITED: 429,
+  QUOTA_EXCEEDED: 429,
+  INTERNAL_ERROR: 500,
+  UPSTREAM_ERROR: 502
+};
+
+/**
+ * Paths of the values filled in from fallback assumptions rather than
+ * observed data. The services flag such objects with isEstimated; a flagged
+ * nested object is reported as a whole, while for a flagged top-level object
+ * its numeric fields are listed.
+ */
+function findEstimatedFields(data, path = '') {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return [];
+
+  if (data.isEstimated === true) {
+    if (path) return [path];
+    return Object.keys(data).filter(key => typeof data[key] === 'number');
+  }
+
+  return Object.entries(data).flatMap(([key, value]) => findEstimatedFields(value, path ? `${path}.${key}` : key));
+}
+
+/**
+ * Wrap data with its provenance. fetchedAt is a timestamp in ms or a Date.
+ */
+function createEnvelope(data, { source = null, fetchedAt = Date.now(), blockHeight = null, stale = false } = {}) {
+  return {
+    data,
+    meta: {
+      source,
+      fetchedAt: new Date(fetchedAt).toISOString(),
+      blockHeight,
+      stale,
+      estimatedFields: findEstimatedFields(data)
+    }
+  };
+}
+
+function createError(code, message) {
+  return { error: { code, message } };
+}
+
+module.exports = {
+  ERROR_CODES,
+  findEstimatedFields,
+  createEnvelope,
+  createError
+};
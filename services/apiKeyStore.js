@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { config } = require('../config');
+
+/**
+ * API keys, kept in one JSON file (API_KEYS_FILE, default data/api-keys.json).
+ *
+ * Only a SHA-256 hash of each key is stored; the key itself is shown once
+ * when it is created. Entries may also be written by hand with a plain `key`
+ * instead of `keyHash`. The file is re-read whenever it changes on disk, so
+ * keys created or revoked with `npm run api-keys` apply without a restart.
+ *
+ *   { "keys": [{ id, name, keyHash, tier, rateLimit, dailyQuota, createdAt }] }
+ *
+ * rateLimit (requests per minute) and dailyQuota are optional overrides of
+ * the key's tier.
+ */
+class ApiKeyStore {
+  constructor(filePath = config.apiKeys.file) {
+    this.filePath = filePath;
+    this.keys = new Map(); // id -> record
+    this.byHash = new Map(); // keyHash -> record
+    this.loadedMtime = null;
+    this.saving = Promise.resolve();
+  }
+
+  static hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * (Re)load the keys if the file changed since the last load. A missing file
+   * means no keys; a file that fails to parse keeps the previous keys.
+   */
+  load() {
+    let mtime;
+    try {
+      mtime = fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      this.setKeys([]);
+      this.loadedMtime = null;
+      return;
+    }
+
+    if (mtime === this.loadedMtime) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.setKeys(data.keys || []);
+      this.loadedMtime = mtime;
+    } catch (error) {
+      logger.error('Error loading API keys', { file: this.filePath, error: error.message });
+    }
+  }
+
+  setKeys(records) {
+    this.keys.clear();
+    this.byHash.clear();
+
+    for (const record of records) {
+      const keyHash = record.keyHash || (record.key && ApiKeyStore.hash(record.key));
+      if (!keyHash) continue;
+
+      const { key, ...stored } = record;
+      const normalized = { ...stored, id: record.id || keyHash.slice(0, 12), keyHash };
+      this.keys.set(normalized.id, normalized);
+      this.byHash.set(keyHash, normalized);
+    }
+  }
+
+  async save() {
+    const write = async () => {
+      const tempFile = `${this.filePath}.tmp`;
+      const data = { keys: [...this.keys.values()] };
+
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+      await fs.promises.rename(tempFile, this.filePath);
+    };
+
+    this.saving = this.saving.then(write, write);
+    return this.saving;
+  }
+
+  /**
+   * Resolves once queued writes have finished. A failed write has already
+   * been reported to whoever made it.
+   */
+  flush() {
+    return this.saving.then(() => {}, () => {});
+  }
+
+  list() {
+    this.load();
+    return [...this.keys.values()];
+  }
+
+  /**
+   * The record for a presented key, or null if it isn't a known key
+   */
+  find(key) {
+    if (!key) return null;
+    this.load();
+    return this.byHash.get(ApiKeyStore.hash(key)) || null;
+  }
+
+  /**
+   * Create a key. Resolves to { key, record }; the key can't be recovered later.
+   */
+  async create({ name, tier = 'keyed', rateLimit, dailyQuota } = {}) {
+    this.load();
+
+    const key = `btk_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: crypto.randomUUID(),
+      name: name || null,
+      keyHash: ApiKeyStore.hash(key),
+      tier,
+      ...(rateLimit !== undefined && { rateLimit }),
+      ...(dailyQuota !== undefined && { dailyQuota }),
+      createdAt: new Date().toISOString()
+    };
+
+    this.keys.set(record.id, record);
+    this.byHash.set(record.keyHash, record);
+    await this.save();
+    return { key, record };
+  }
+
+  async remove(id) {
+    this.load();
+
+    const record = this.keys.get(id);
+    if (!record) return false;
+
+    this.keys.delete(id);
+    this.byHash.delete(record.keyHash);
+    await this.save();
+    return true;
+  }
+}
+
+module.exports = ApiKeyStore;
@@ -0,0 +1,126 @@
+const { version } = require('../package.json');
+const { logger } = require('./logger');
+const { config } = require('../config');
+
+// Per-key TTLs; anything not listed uses cache.ttlMs (CACHE_TTL_MS)
+const CACHE_TTLS = {
+  'current-stats': 60 * 1000,
+  'fee-histogram': 30 * 1000,
+  'latest-block': 60 * 1000,
+  'mempool': 30 * 1000,
+  'price': 60 * 1000,
+  'supply-schedule': 60 * 60 * 1000
+};
+
+// Cached routes that take no parameters, by path under /api (also the cache key)
+const DATA_ROUTES = {
+  'mining-summary': {
+    fetch: bitcoinService => bitcoinService.getMiningSummary(),
+    log: 'Error fetching mining summary',
+    error: 'Failed to fetch mining summary'
+  },
+  'current-stats': {
+    fetch: bitcoinService => bitcoinService.getCurrentStats(),
+    log: 'Error fetching current stats',
+    error: 'Failed to fetch current statistics'
+  },
+  'daily-stats': {
+    fetch: bitcoinService => bitcoinService.getDailyMiningData(),
+    log: 'Error fetching daily stats',
+    error: 'Failed to fetch daily statistics'
+  },
+  'remaining': {
+    fetch: bitcoinService => bitcoinService.getRemainingBitcoin(),
+    log: 'Error fetching remaining Bitcoin data',
+    error: 'Failed to fetch remaining Bitcoin data'
+  },
+  'supply-schedule': {
+    fetch: bitcoinService => bitcoinService.getSupplySchedule(),
+    log: 'Error fetching supply schedule',
+    error: 'Failed to fetch supply schedule'
+  },
+  'difficulty': {
+    fetch: bitcoinService => bitcoinService.getDifficultyAdjustment(),
+    log: 'Error fetching difficulty adjustment',
+    error: 'Failed to fetch difficulty adjustment'
+  },
+  'mempool': {
+    fetch: bitcoinService => bitcoinService.getMempoolData(),
+    log: 'Error fetching mempool data',
+    error: 'Failed to fetch mempool data'
+  }
+};
+
+/**
+ * The read-only /api routes, independent of how the request arrived.
+ *
+ * app.js and the Netlify functions both answer through this, so every
+ * deployment returns the same bodies, cache headers and errors. Each route
+ * resolves to { statusCode, headers, body } for the caller to send.
+ */
+class ApiRoutes {
+  constructor(bitcoinService, cache) {
+    this.bitcoinService = bitcoinService;
+    this.cache = cache;
+  }
+
+  getCacheTtl(key) {
+    return CACHE_TTLS[key.split(':')[0]] || config.cache.ttlMs;
+  }
+
+  getCachedData(key, fetcher) {
+    return this.cache.getEntry(key, fetcher, this.getCacheTtl(key));
+  }
+
+  /**
+   * Validators and Cache-Control for a cached entry. The ETag is the tip
+   * height plus when the entry was stored, so it changes at most once per
+   * block and refresh.
+   */
+  cacheHeaders(entry) {
+    const height = this.bitcoinService.lastKnownHeight ?? 'unknown';
+    const freshFor = Math.max(0, entry.ttl - (Date.now() - entry.storedAt));
+
+    return {
+      'ETag': `"${height}-${entry.storedAt.toString(36)}"`,
+      'Last-Modified': new Date(entry.storedAt).toUTCString(),
+      'Cache-Control': `public, max-age=${Math.floor(freshFor / 1000)}, stale-while-revalidate=${Math.floor(this.cache.staleTtl / 1000)}`
+    };
+  }
+
+  /**
+   * One of DATA_ROUTES, from the cache when it's there
+   */
+  async getData(name) {
+    const route = DATA_ROUTES[name];
+
+    try {
+      const entry = await this.getCachedData(name, () => route.fetch(this.bitcoinService));
+      return { statusCode: 200, headers: this.cacheHeaders(entry), body: entry.value };
+    } catch (error) {
+      logger.error(route.log, { error });
+      return {
+        statusCode: 500,
+        headers: {},
+        body: { error: route.error, message: error.message }
+      };
+    }
+  }
+
+  health() {
+    return {
+      statusCode: 200,
+      headers: {},
+      body: {
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        version
+      }
+    };
+  }
+}
+
+ApiRoutes.DATA_ROUTES = Object.keys(DATA_ROUTES);
+
+module.exports = ApiRoutes;
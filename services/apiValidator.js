@@ -0,0 +1,120 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+// JSON Pointer escaping for a single path segment (RFC 6901)
+const escapePointer = segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Validates requests and responses against the OpenAPI document.
+ *
+ * Query parameters are checked on every request, coerced from strings the way
+ * Express hands them over. Responses are only checked when asked to (in
+ * development), since compiling and walking every body isn't free.
+ */
+class ApiValidator {
+  constructor(spec) {
+    this.spec = spec;
+
+    // Not strict: the document carries OpenAPI fields Ajv doesn't know, like paths and servers
+    this.ajv = addFormats(new Ajv({ strict: false, allErrors: true }));
+    this.ajv.addSchema(spec, 'openapi');
+    this.queryAjv = addFormats(new Ajv({ strict: false, allErrors: true, coerceTypes: true }));
+
+    this.routes = Object.keys(spec.paths).map(path => ({
+      path,
+      pattern: new RegExp(`^${path.replace(/[.]/g, '\\.').replace(/\{[^}]+\}/g, '[^/]+')}$`)
+    }));
+    this.validators = new Map(); // cache key -> compiled validator
+  }
+
+  /**
+   * The spec operation for a request, or null if the route isn't described
+   */
+  findOperation(method, requestPath) {
+    const normalized = requestPath.length > 1 ? requestPath.replace(/\/$/, '') : requestPath;
+    const route = this.routes.find(candidate => candidate.pattern.test(normalized));
+    if (!route) return null;
+
+    const pathItem = this.spec.paths[route.path];
+    const operation = pathItem[method.toLowerCase()];
+    if (!operation) return null;
+
+    return { path: route.path, method: method.toLowerCase(), pathItem, operation };
+  }
+
+  /**
+   * Problems with the query string, as readable messages
+   */
+  validateQuery(match, query) {
+    const key = `query ${match.method} ${match.path}`;
+
+    if (!this.validators.has(key)) {
+      const parameters = [...(match.pathItem.parameters || []), ...(match.operation.parameters || [])]
+        .filter(parameter => parameter.in === 'query');
+
+      this.validators.set(key, parameters.length === 0 ? null : this.queryAjv.compile({
+        type: 'object',
+        properties: Object.fromEntries(parameters.map(parameter => [parameter.name, parameter.schema])),
+        required: parameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+      }));
+    }
+
+    const validate = this.validators.get(key);
+    // Validate a copy; coercion would otherwise rewrite req.query
+    if (!validate || validate({ ...query })) return [];
+    return validate.errors.map(error => this.formatError(error));
+  }
+
+  /**
+   * Problems with a JSON response body, or [] if it matches (or the status
+   * has no JSON schema to check against)
+   */
+  validateResponse(match, status, body) {
+    const pointer = this.getResponseSchemaPointer(match, status);
+    if (!pointer) return [];
+
+    if (!this.validators.has(pointer)) {
+      this.validators.set(pointer, this.ajv.compile({ $ref: `openapi${pointer}` }));
+    }
+
+    const validate = this.validators.get(pointer);
+    // Round-trip so the body is checked as the client will see it (dates as strings etc.)
+    if (validate(JSON.parse(JSON.stringify(body)))) return [];
+    return validate.errors.map(error => this.formatError(error));
+  }
+
+  getResponseSchemaPointer(match, status) {
+    const responses = match.operation.responses || {};
+    const code = responses[status] ? status : 'default';
+    const response = responses[code];
+    if (!response) return null;
+
+    const base = response.$ref
+      ? response.$ref
+      : `#/paths/${escapePointer(match.path)}/${match.method}/responses/${code}`;
+    const resolved = response.$ref ? this.resolve(response.$ref) : response;
+
+    if (!resolved.content || !resolved.content['application/json'] || !resolved.content['application/json'].schema) {
+      return null;
+    }
+    return `${base}/content/application~1json/schema`;
+  }
+
+  resolve(ref) {
+    return ref.slice(2).split('/').reduce((node, segment) => node[segment.replace(/~1/g, '/').replace(/~0/g, '~')], this.spec);
+  }
+
+  formatError(error) {
+    const field = error.instancePath.slice(1).replace(/\//g, '.');
+
+    if (error.keyword === 'required') {
+      return `${field ? `${field}.` : ''}${error.params.missingProperty} is required`;
+    }
+    if (error.keyword === 'enum') {
+      return `${field} must be one of: ${error.params.allowedValues.join(', ')}`;
+    }
+    return `${field || 'body'} ${error.message}`;
+  }
+}
+
+module.exports = ApiValidator;
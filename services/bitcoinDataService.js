@@ -1,17 +1,105 @@
 const axios = require('axios');
+const { createProviders } = require('./providers');
+const supplySchedule = require('../public/supplySchedule');
+const BlockTimeEstimator = require('./blockTimeEstimator');
+const DifficultyTracker = require('./difficultyTracker');
+const PoolTracker = require('./poolTracker');
+const PoolIdentifier = require('./poolIdentifier');
+const metrics = require('./metrics');
+const { logger, logHttpClient } = require('./logger');
+const { config } = require('../config');
+
+// Known block used to estimate the tip height when no provider is reachable
+const HEIGHT_CHECKPOINT = { height: 840000, time: 1713571767 };
+
+// Coinbase lookups run this many at a time, and this many are remembered
+const COINBASE_FETCH_CONCURRENCY = 10;
+const COINBASE_CACHE_SIZE = 2000;
 
 class BitcoinDataService {
-  constructor() {
-    this.blockchainAPIBase = 'https://blockchain.info';
-    this.coinAPIBase = 'https://api.coinapi.io/v1';
+  constructor(providers = createProviders()) {
+    // Blockchain data providers in priority order
+    this.providers = providers;
+    this.priceAPIBase = config.price.apiUrl;
+    this.priceHttp = logHttpClient(axios.create({ baseURL: this.priceAPIBase, timeout: 10000 }), 'coingecko');
     
     // Bitcoin constants
-    this.TOTAL_BITCOIN_SUPPLY = 21000000; // Total Bitcoin that will ever exist
-    this.SATOSHIS_PER_BITCOIN = 100000000; // 100 million satoshis per Bitcoin
+    this.TOTAL_BITCOIN_SUPPLY = supplySchedule.MAX_SUPPLY; // Exact cap from the subsidy schedule
+    this.SATOSHIS_PER_BITCOIN = supplySchedule.SATOSHIS_PER_BITCOIN;
     this.BLOCKS_PER_DAY_AVERAGE = 144; // Approximately 1 block every 10 minutes
-    
-    // Current block reward (changes every 4 years due to halving)
-    this.currentBlockReward = 3.125; // As of April 2024 (4th halving)
+
+    // Latest tip height seen from any provider
+    this.lastKnownHeight = null;
+
+    // Coinbase output totals (satoshis) by block hash; blocks never change
+    this.coinbaseValues = new Map();
+
+    // Observed block times drive halving, completion and height ETAs
+    this.blockTimes = new BlockTimeEstimator(async count => {
+      const { data } = await this.fromProviders('getRecentBlocks', count);
+      return data;
+    });
+
+    this.difficultyTracker = new DifficultyTracker(async height => {
+      const { data } = await this.fromProviders('getBlockAtHeight', height);
+      return data;
+    });
+
+    this.poolTracker = new PoolTracker({
+      fetchBlocksSince: async since => {
+        const { data } = await this.fromProviders('getBlocksSince', since);
+        return data;
+      },
+      fetchBlocksBefore: async (height, count) => {
+        const { data } = await this.fromProviders('getBlocksBefore', height, count);
+        return data;
+      },
+      fetchCoinbase: async hash => {
+        const { data } = await this.fromProviders('getCoinbaseTransaction', hash);
+        // Saves a second lookup when the same block's fees are needed
+        this.coinbaseValues.set(hash, data.value);
+        return data;
+      }
+    });
+  }
+
+  /**
+   * Call an operation on each provider in priority order until one succeeds
+   */
+  async fromProviders(operation, ...args) {
+    const failures = [];
+
+    for (const provider of this.providers) {
+      if (!provider.supports(operation)) continue;
+
+      try {
+        const data = await metrics.timeUpstream(provider.name, operation, () => provider[operation](...args));
+        return { data, provider: provider.name };
+      } catch (error) {
+        logger.warn('Provider failed', { provider: provider.name, operation, error: error.message });
+        failures.push(`${provider.name}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`All providers failed for ${operation} (${failures.join('; ')})`);
+  }
+
+  /**
+   * Block subsidy in BTC at a given height
+   */
+  getBlockReward(blockHeight) {
+    return supplySchedule.getBlockSubsidy(blockHeight);
+  }
+
+  /**
+   * Best guess at the current tip height: the last height a provider
+   * reported, or an extrapolation from a checkpoint at 10 minutes per block
+   */
+  estimateCurrentHeight() {
+    if (this.lastKnownHeight !== null) return this.lastKnownHeight;
+
+    const elapsedSeconds = Date.now() / 1000 - HEIGHT_CHECKPOINT.time;
+    return HEIGHT_CHECKPOINT.height + Math.max(Math.floor(elapsedSeconds / 600), 0);
   }
 
   /**
@@ -19,21 +107,20 @@ class BitcoinDataService {
    */
   async getCurrentStats() {
     try {
-      const response = await axios.get(`${this.blockchainAPIBase}/q/bcperblock`);
-      const currentBlockReward = response.data / this.SATOSHIS_PER_BITCOIN;
-      
-      const stats = await axios.get(`${this.blockchainAPIBase}/stats?format=json`);
+      const { data: stats, provider } = await this.fromProviders('getChainStats');
+      this.lastKnownHeight = stats.blockHeight;
       
       return {
-        currentBlockHeight: stats.data.n_blocks_total,
-        totalBitcoinsInCirculation: stats.data.totalbc / this.SATOSHIS_PER_BITCOIN,
-        currentBlockReward: currentBlockReward,
-        difficulty: stats.data.difficulty,
-        hashRate: stats.data.hash_rate,
+        currentBlockHeight: stats.blockHeight,
+        totalBitcoinsInCirculation: stats.circulatingSupply,
+        currentBlockReward: this.getBlockReward(stats.blockHeight),
+        difficulty: stats.difficulty,
+        hashRate: stats.hashRate,
+        provider,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      console.error('Error fetching current stats:', error.message);
+      logger.error('Error fetching current stats', { error: error.message });
       throw new Error('Failed to fetch current Bitcoin statistics');
     }
   }
@@ -44,74 +131,264 @@ class BitcoinDataService {
   async getDailyMiningData() {
     try {
       const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
-      const response = await axios.get(`${this.blockchainAPIBase}/blocks/${oneDayAgo}?format=json`);
+      const { data, provider } = await this.fromProviders('getBlocksSince', oneDayAgo);
       
-      const blocks = response.data.blocks;
+      const blocks = data.filter(block => block.time * 1000 >= oneDayAgo);
       const totalBlocks = blocks.length;
-      const totalBitcoinMined = totalBlocks * this.currentBlockReward;
+      const pools = await this.getBlockPools(blocks);
+      const coinbaseValues = await this.getCoinbaseValues(blocks);
+
+      // Each block is paid the subsidy for its own height, so a halving inside the window is handled.
+      // Fees are whatever the coinbase claimed on top of that subsidy.
+      const revenue = blocks.map((block, index) => {
+        const subsidySats = Number(supplySchedule.getBlockSubsidySats(block.height));
+        const coinbaseValue = coinbaseValues[index];
+        return {
+          subsidySats,
+          feesSats: coinbaseValue === null ? null : Math.max(coinbaseValue - subsidySats, 0)
+        };
+      });
+
+      const totalSubsidySats = revenue.reduce((total, block) => total + block.subsidySats, 0);
+      const withFees = revenue.filter(block => block.feesSats !== null);
+      const totalFeesSats = withFees.reduce((total, block) => total + block.feesSats, 0);
+      const revenueWithFeesSats = withFees.reduce((total, block) => total + block.subsidySats + block.feesSats, 0);
+      const toBTC = sats => sats / this.SATOSHIS_PER_BITCOIN;
       
       return {
         date: new Date().toISOString().split('T')[0],
         blocksMinedLast24h: totalBlocks,
-        bitcoinMinedLast24h: totalBitcoinMined,
+        bitcoinMinedLast24h: toBTC(totalSubsidySats),
+        feesLast24h: withFees.length > 0 ? toBTC(totalFeesSats) : null,
+        minerRevenueLast24h: withFees.length > 0 ? toBTC(totalSubsidySats + totalFeesSats) : null,
+        // Share of revenue from fees, over the blocks whose coinbase could be read
+        feeShareOfRevenue: revenueWithFeesSats > 0 ? (totalFeesSats / revenueWithFeesSats) * 100 : null,
+        feeDataComplete: withFees.length === totalBlocks,
         averageBlockTime: totalBlocks > 0 ? (24 * 60) / totalBlocks : 10, // minutes
-        blocks: blocks.map(block => ({
+        isEstimated: false,
+        provider,
+        blocks: blocks.map((block, index) => ({
           height: block.height,
           hash: block.hash,
           time: new Date(block.time * 1000).toISOString(),
           size: block.size,
-          tx_count: block.n_tx
+          tx_count: block.tx_count,
+          pool: pools[index],
+          subsidy: toBTC(revenue[index].subsidySats),
+          fees: revenue[index].feesSats === null ? null : toBTC(revenue[index].feesSats),
+          reward: revenue[index].feesSats === null ? null : toBTC(revenue[index].subsidySats + revenue[index].feesSats)
         }))
       };
     } catch (error) {
-      console.error('Error fetching daily mining data:', error.message);
-      // Fallback to estimated data if API fails
+      logger.error('Error fetching daily mining data', { error: error.message });
+      // Fallback to estimated data if every provider fails
       return this.getEstimatedDailyData();
     }
   }
 
+  /**
+   * Coinbase output total in satoshis for each block, or null where it
+   * couldn't be read. Uses the value from the block listing when the provider
+   * includes one and looks the rest up, stopping at the first failure.
+   */
+  async getCoinbaseValues(blocks) {
+    for (const block of blocks) {
+      if (typeof block.coinbaseValue === 'number') {
+        this.coinbaseValues.set(block.hash, block.coinbaseValue);
+      }
+    }
+
+    const missing = blocks.filter(block => !this.coinbaseValues.has(block.hash));
+    let failed = false;
+
+    for (let i = 0; i < missing.length && !failed; i += COINBASE_FETCH_CONCURRENCY) {
+      await Promise.all(missing.slice(i, i + COINBASE_FETCH_CONCURRENCY).map(async block => {
+        try {
+          const { data } = await this.fromProviders('getCoinbaseValue', block.hash);
+          this.coinbaseValues.set(block.hash, data);
+        } catch (error) {
+          failed = true;
+        }
+      }));
+    }
+
+    // Map keeps insertion order, so the oldest entries go first
+    for (const hash of this.coinbaseValues.keys()) {
+      if (this.coinbaseValues.size <= COINBASE_CACHE_SIZE) break;
+      this.coinbaseValues.delete(hash);
+    }
+
+    return blocks.map(block => this.coinbaseValues.has(block.hash) ? this.coinbaseValues.get(block.hash) : null);
+  }
+
+  /**
+   * Pool that mined each block; "unknown" for all of them if attribution fails
+   */
+  async getBlockPools(blocks) {
+    try {
+      return await this.poolTracker.attribute(blocks);
+    } catch (error) {
+      logger.error('Error attributing blocks to pools', { error: error.message });
+      const { id, name } = PoolIdentifier.UNKNOWN_POOL;
+      return blocks.map(() => ({ id, name }));
+    }
+  }
+
+  /**
+   * Block counts and hash rate share per mining pool over a window
+   * ('24h', '7d' or '30d'). Older blocks are backfilled a chunk per call
+   * until the 30-day window is covered; `coverage.complete` says whether
+   * this window is fully covered yet.
+   */
+  async getPoolDistribution(window) {
+    try {
+      await this.poolTracker.refresh();
+    } catch (error) {
+      // Serve what's already stored rather than failing
+      logger.error('Error refreshing pool attribution', { error: error.message });
+    }
+
+    try {
+      await this.poolTracker.backfill();
+    } catch (error) {
+      logger.error('Error backfilling pool attribution', { error: error.message });
+    }
+
+    return {
+      ...this.poolTracker.getDistribution(window),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * The most recent block at the tip
+   */
+  async getLatestBlock() {
+    try {
+      const { data, provider } = await this.fromProviders('getRecentBlocks', 1);
+
+      return {
+        ...data[0],
+        provider
+      };
+    } catch (error) {
+      logger.error('Error fetching latest block', { error: error.message });
+      throw new Error('Failed to fetch latest block');
+    }
+  }
+
   /**
    * Fallback method to estimate daily mining data
    */
   getEstimatedDailyData() {
     const estimatedBlocks = this.BLOCKS_PER_DAY_AVERAGE;
-    const estimatedBitcoin = estimatedBlocks * this.currentBlockReward;
+    const estimatedBitcoin = estimatedBlocks * this.getBlockReward(this.estimateCurrentHeight());
     
     return {
       date: new Date().toISOString().split('T')[0],
       blocksMinedLast24h: estimatedBlocks,
       bitcoinMinedLast24h: estimatedBitcoin,
+      feesLast24h: null,
+      minerRevenueLast24h: null,
+      feeShareOfRevenue: null,
+      feeDataComplete: false,
       averageBlockTime: 10,
       isEstimated: true,
+      provider: null,
       blocks: []
     };
   }
 
+  /**
+   * Observed block time statistics over the trailing window up to tipHeight.
+   * Falls back to the 10-minute target if recent blocks can't be fetched.
+   */
+  async getBlockTimeStats(tipHeight) {
+    try {
+      await this.blockTimes.refresh(tipHeight);
+    } catch (error) {
+      logger.error('Error refreshing block times', { error: error.message });
+    }
+    return this.blockTimes.getStats();
+  }
+
+  /**
+   * Estimate when an arbitrary block height will be reached
+   */
+  async getHeightEstimate(targetHeight) {
+    try {
+      const currentStats = await this.getCurrentStats();
+      const height = currentStats.currentBlockHeight;
+      const blockTimeStats = await this.getBlockTimeStats(height);
+
+      return {
+        currentHeight: height,
+        ...this.blockTimes.estimate(height, targetHeight, blockTimeStats),
+        blockTimeStats,
+        provider: currentStats.provider,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error('Error estimating block height ETA', { error: error.message });
+      throw new Error('Failed to estimate block height ETA');
+    }
+  }
+
+  /**
+   * Get the current difficulty epoch, projected retarget and past adjustments
+   */
+  async getDifficultyAdjustment() {
+    try {
+      const currentStats = await this.getCurrentStats();
+      const height = currentStats.currentBlockHeight;
+      const blockTimeStats = await this.getBlockTimeStats(height);
+      const status = await this.difficultyTracker.getEpochStatus(height, this.blockTimes, blockTimeStats);
+
+      return {
+        ...status,
+        provider: currentStats.provider,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error('Error fetching difficulty adjustment', { error: error.message });
+      throw new Error('Failed to fetch difficulty adjustment');
+    }
+  }
+
   /**
    * Calculate remaining Bitcoin to be mined
    */
   async getRemainingBitcoin() {
     try {
       const currentStats = await this.getCurrentStats();
+      const height = currentStats.currentBlockHeight;
       const remaining = this.TOTAL_BITCOIN_SUPPLY - currentStats.totalBitcoinsInCirculation;
+      const blockTimeStats = await this.getBlockTimeStats(height);
       
-      // Estimate when all Bitcoin will be mined (approximate)
-      const blocksRemaining = remaining / this.currentBlockReward;
-      const daysRemaining = blocksRemaining / this.BLOCKS_PER_DAY_AVERAGE;
-      const estimatedCompletionDate = new Date();
-      estimatedCompletionDate.setDate(estimatedCompletionDate.getDate() + daysRemaining);
+      // The subsidy keeps halving, so completion is when the last subsidized block is mined
+      const completion = this.blockTimes.estimate(height, supplySchedule.LAST_SUBSIDY_HEIGHT, blockTimeStats);
+      const blocksRemaining = completion.blocksRemaining;
+      const daysRemaining = completion.daysRemaining;
       
       return {
         totalSupply: this.TOTAL_BITCOIN_SUPPLY,
         currentSupply: currentStats.totalBitcoinsInCirculation,
         remainingBitcoin: remaining,
         percentageMined: (currentStats.totalBitcoinsInCirculation / this.TOTAL_BITCOIN_SUPPLY) * 100,
-        estimatedCompletionDate: estimatedCompletionDate.toISOString().split('T')[0],
-        currentBlockReward: this.currentBlockReward,
-        nextHalvingEstimate: this.getNextHalvingEstimate(currentStats.currentBlockHeight)
+        estimatedCompletionDate: completion.estimatedDate.split('T')[0],
+        completionDateRange: {
+          earliest: completion.earliestDate.split('T')[0],
+          latest: completion.latestDate.split('T')[0]
+        },
+        blocksRemaining,
+        estimatedDaysToCompletion: daysRemaining,
+        currentBlockReward: this.getBlockReward(height),
+        nextHalvingEstimate: this.getNextHalvingEstimate(height, blockTimeStats),
+        blockTimeStats,
+        provider: currentStats.provider
       };
     } catch (error) {
-      console.error('Error calculating remaining Bitcoin:', error.message);
+      logger.error('Error calculating remaining Bitcoin', { error: error.message });
       throw new Error('Failed to calculate remaining Bitcoin');
     }
   }
@@ -119,25 +396,143 @@ class BitcoinDataService {
   /**
    * Estimate next halving event
    */
-  getNextHalvingEstimate(currentBlockHeight) {
-    const HALVING_INTERVAL = 210000; // Blocks between halvings
-    const nextHalvingBlock = Math.ceil(currentBlockHeight / HALVING_INTERVAL) * HALVING_INTERVAL;
-    const blocksUntilHalving = nextHalvingBlock - currentBlockHeight;
-    const daysUntilHalving = blocksUntilHalving / this.BLOCKS_PER_DAY_AVERAGE;
-    
-    const halvingDate = new Date();
-    halvingDate.setDate(halvingDate.getDate() + daysUntilHalving);
+  getNextHalvingEstimate(currentBlockHeight, blockTimeStats = this.blockTimes.getStats()) {
+    const nextHalvingBlock = supplySchedule.getNextHalvingHeight(currentBlockHeight);
+    const eta = this.blockTimes.estimate(currentBlockHeight, nextHalvingBlock, blockTimeStats);
     
     return {
       nextHalvingBlock,
-      blocksUntilHalving,
-      daysUntilHalving: Math.round(daysUntilHalving),
-      estimatedDate: halvingDate.toISOString().split('T')[0],
-      currentReward: this.currentBlockReward,
-      nextReward: this.currentBlockReward / 2
+      blocksUntilHalving: eta.blocksRemaining,
+      daysUntilHalving: eta.daysRemaining,
+      estimatedDate: eta.estimatedDate.split('T')[0],
+      earliestDate: eta.earliestDate.split('T')[0],
+      latestDate: eta.latestDate.split('T')[0],
+      confidenceLevel: eta.confidenceLevel,
+      meanBlockInterval: eta.meanBlockInterval,
+      isEstimated: eta.isEstimated,
+      currentReward: this.getBlockReward(currentBlockHeight),
+      nextReward: this.getBlockReward(nextHalvingBlock)
+    };
+  }
+
+  /**
+   * Get the full subsidy and supply schedule relative to the current tip
+   */
+  async getSupplySchedule() {
+    try {
+      const currentStats = await this.getCurrentStats();
+
+      return {
+        ...supplySchedule.getSupplySchedule(currentStats.currentBlockHeight),
+        provider: currentStats.provider,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error('Error building supply schedule', { error: error.message });
+      throw new Error('Failed to build supply schedule');
+    }
+  }
+
+  /**
+   * Get current Bitcoin price in the given currency. CoinGecko comes first
+   * for its market data; when it fails, the price alone comes from the first
+   * blockchain provider that reports one.
+   */
+  async getPriceData(currency = 'usd') {
+    const vsCurrency = currency.toLowerCase();
+
+    try {
+      return await this.getCoinGeckoPrice(vsCurrency);
+    } catch (error) {
+      logger.warn('CoinGecko price failed, trying providers', { currency: vsCurrency, error: error.message });
+    }
+
+    try {
+      const { data, provider } = await this.fromProviders('getPrice', vsCurrency);
+
+      return {
+        currency: vsCurrency.toUpperCase(),
+        current: data,
+        change24h: null,
+        marketCap: null,
+        volume24h: null,
+        provider,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error('Error fetching price data', { error: error.message });
+      throw new Error('Failed to fetch Bitcoin price');
+    }
+  }
+
+  async getCoinGeckoPrice(vsCurrency) {
+    const response = await metrics.timeUpstream('coingecko', 'getPrice', () => this.priceHttp.get('/simple/price', {
+      params: {
+        ids: 'bitcoin',
+        vs_currencies: vsCurrency,
+        include_24hr_change: true,
+        include_market_cap: true,
+        include_24hr_vol: true
+      }
+    }));
+    const bitcoin = response.data.bitcoin;
+
+    if (!bitcoin || typeof bitcoin[vsCurrency] !== 'number') {
+      throw new Error(`No ${vsCurrency.toUpperCase()} price in the CoinGecko response`);
+    }
+
+    return {
+      currency: vsCurrency.toUpperCase(),
+      current: bitcoin[vsCurrency],
+      change24h: bitcoin[`${vsCurrency}_24h_change`],
+      marketCap: bitcoin[`${vsCurrency}_market_cap`],
+      volume24h: bitcoin[`${vsCurrency}_24h_vol`],
+      provider: 'coingecko',
+      timestamp: new Date().toISOString()
     };
   }
 
+  /**
+   * Get current mempool backlog
+   */
+  async getMempoolData() {
+    try {
+      const { data, provider } = await this.fromProviders('getMempool');
+
+      return {
+        count: data.count,
+        vsize: data.vsize,
+        totalFee: data.totalFee,
+        feeHistogram: data.feeHistogram,
+        provider,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error('Error fetching mempool data', { error: error.message });
+      throw new Error('Failed to fetch mempool data');
+    }
+  }
+
+  /**
+   * Fee histogram for fee estimates, from the first provider that reports one.
+   * Bitcoin Core doesn't, so it is skipped even when it answers getMempool.
+   */
+  async getFeeHistogramData() {
+    try {
+      const { data, provider } = await this.fromProviders('getFeeHistogram');
+
+      return {
+        vsize: data.vsize,
+        feeHistogram: data.feeHistogram,
+        provider,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error('Error fetching fee histogram', { error: error.message });
+      throw new Error(`No data provider could report a fee histogram (${this.providers.map(provider => provider.name).join(', ')})`);
+    }
+  }
+
   /**
    * Get comprehensive Bitcoin mining summary
    */
@@ -158,11 +553,11 @@ class BitcoinDataService {
           bitcoinMinedToday: dailyData.bitcoinMinedLast24h,
           bitcoinRemaining: remainingData.remainingBitcoin,
           percentageComplete: remainingData.percentageMined,
-          estimatedDaysToCompletion: Math.round((remainingData.remainingBitcoin / this.currentBlockReward) / this.BLOCKS_PER_DAY_AVERAGE)
+          estimatedDaysToCompletion: remainingData.estimatedDaysToCompletion
         }
       };
     } catch (error) {
-      console.error('Error getting mining summary:', error.message);
+      logger.error('Error getting mining summary', { error: error.message });
       throw new Error('Failed to get mining summary');
     }
   }
@@ -0,0 +1,125 @@
+const { config } = require('../config');
+
+const TARGET_BLOCK_INTERVAL = 600; // seconds
+const CONFIDENCE_Z = 1.96; // 95% two-sided
+const MIN_SAMPLES = 10;
+
+/**
+ * Estimates when future block heights will be reached from a trailing
+ * window of observed block timestamps.
+ *
+ * The window (BLOCK_TIME_WINDOW blocks, default 144) is cached by height so
+ * each refresh only fetches blocks mined since the last one.
+ */
+class BlockTimeEstimator {
+  constructor(fetchRecentBlocks, windowSize = config.estimates.blockTimeWindow) {
+    this.fetchRecentBlocks = fetchRecentBlocks;
+    this.windowSize = windowSize;
+    this.blockTimes = new Map(); // height -> unix seconds
+  }
+
+  /**
+   * Make sure the window covers the chain up to tipHeight
+   */
+  async refresh(tipHeight) {
+    const heights = [...this.blockTimes.keys()];
+    const newestCached = heights.length > 0 ? Math.max(...heights) : -1;
+    const haveWindow = heights.length > this.windowSize;
+
+    if (haveWindow && newestCached >= tipHeight) return;
+
+    const count = haveWindow ? tipHeight - newestCached : this.windowSize + 1;
+    const blocks = await this.fetchRecentBlocks(Math.min(count, this.windowSize + 1));
+
+    for (const block of blocks) {
+      this.blockTimes.set(block.height, block.time);
+    }
+
+    // Keep only the newest windowSize + 1 blocks (windowSize intervals)
+    const sorted = [...this.blockTimes.keys()].sort((a, b) => b - a);
+    for (const height of sorted.slice(this.windowSize + 1)) {
+      this.blockTimes.delete(height);
+    }
+  }
+
+  /**
+   * Timestamp of a block in the window, or undefined if it isn't there
+   */
+  getBlockTime(height) {
+    return this.blockTimes.get(height);
+  }
+
+  /**
+   * Mean and standard deviation of the intervals between consecutive blocks
+   * in the window. Falls back to the 10-minute target when there isn't enough data.
+   */
+  getStats() {
+    const heights = [...this.blockTimes.keys()].sort((a, b) => a - b);
+    const intervals = [];
+
+    for (let i = 1; i < heights.length; i++) {
+      if (heights[i] === heights[i - 1] + 1) {
+        intervals.push(this.blockTimes.get(heights[i]) - this.blockTimes.get(heights[i - 1]));
+      }
+    }
+
+    if (intervals.length < MIN_SAMPLES) {
+      return {
+        windowSize: this.windowSize,
+        sampleSize: intervals.length,
+        meanBlockInterval: TARGET_BLOCK_INTERVAL,
+        // Block arrivals are roughly Poisson, so the spread is about the mean
+        stdDevBlockInterval: TARGET_BLOCK_INTERVAL,
+        blocksPerDay: 86400 / TARGET_BLOCK_INTERVAL,
+        isEstimated: true
+      };
+    }
+
+    const mean = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+    const variance = intervals.reduce((sum, interval) => sum + Math.pow(interval - mean, 2), 0) / (intervals.length - 1);
+
+    return {
+      windowSize: this.windowSize,
+      sampleSize: intervals.length,
+      fromHeight: heights[0],
+      toHeight: heights[heights.length - 1],
+      meanBlockInterval: mean,
+      stdDevBlockInterval: Math.sqrt(variance),
+      blocksPerDay: 86400 / mean,
+      isEstimated: false
+    };
+  }
+
+  /**
+   * ETA for targetHeight with a 95% confidence interval.
+   *
+   * The spread combines the randomness of the remaining n intervals
+   * (n * sigma^2) with the uncertainty in the observed mean itself
+   * (n^2 * sigma^2 / samples), which dominates for distant heights.
+   */
+  estimate(currentHeight, targetHeight, stats = this.getStats(), now = Date.now()) {
+    const blocksRemaining = Math.max(targetHeight - currentHeight, 0);
+    const samples = Math.max(stats.sampleSize, 1);
+
+    const expectedSeconds = blocksRemaining * stats.meanBlockInterval;
+    const variance = blocksRemaining * Math.pow(stats.stdDevBlockInterval, 2) +
+      Math.pow(blocksRemaining * stats.stdDevBlockInterval, 2) / samples;
+    const marginSeconds = CONFIDENCE_Z * Math.sqrt(variance);
+
+    const toDate = seconds => new Date(now + seconds * 1000).toISOString();
+
+    return {
+      targetHeight,
+      blocksRemaining,
+      daysRemaining: Math.round(expectedSeconds / 86400),
+      estimatedDate: toDate(expectedSeconds),
+      earliestDate: toDate(Math.max(expectedSeconds - marginSeconds, 0)),
+      latestDate: toDate(expectedSeconds + marginSeconds),
+      confidenceLevel: 0.95,
+      meanBlockInterval: stats.meanBlockInterval,
+      isEstimated: stats.isEstimated
+    };
+  }
+}
+
+module.exports = BlockTimeEstimator;
@@ -0,0 +1,135 @@
+const MemoryCache = require('./memoryCache');
+const RedisCache = require('./redisCache');
+const metrics = require('../metrics');
+const { logger } = require('../logger');
+const { config } = require('../../config');
+
+const BACKENDS = {
+  memory: MemoryCache,
+  redis: RedisCache
+};
+
+/**
+ * Create the cache backend named by CACHE_BACKEND (memory or redis)
+ */
+function createBackend(name = config.cache.backend) {
+  const Backend = BACKENDS[name];
+  if (!Backend) {
+    throw new Error(`Unknown cache backend "${name}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return new Backend();
+}
+
+/**
+ * Response cache with per-key TTLs, stale-while-revalidate and request
+ * coalescing on top of a pluggable backend.
+ *
+ * An entry is fresh for its TTL. After that it is still served for up to
+ * CACHE_STALE_TTL_MS while a single background refresh replaces it. Concurrent
+ * misses for the same key share one call to the fetcher.
+ *
+ * Backend errors are logged and treated as misses, so an unreachable Redis
+ * means uncached responses rather than failed ones.
+ */
+class ResponseCache {
+  constructor(backend = createBackend(), options = {}) {
+    this.backend = backend;
+    this.staleTtl = options.staleTtl ?? config.cache.staleTtlMs;
+    this.inFlight = new Map(); // key -> Promise of the value being fetched
+  }
+
+  get name() {
+    return this.backend.name;
+  }
+
+  /**
+   * Return the cached value for key, calling fetcher() when there is none
+   */
+  async wrap(key, fetcher, ttl) {
+    const entry = await this.getEntry(key, fetcher, ttl);
+    return entry.value;
+  }
+
+  /**
+   * Like wrap(), but resolves to the whole { value, storedAt, ttl } entry so
+   * callers can tell how old the value is
+   */
+  async getEntry(key, fetcher, ttl) {
+    const entry = await this.read(key);
+
+    if (entry) {
+      const stale = Date.now() - entry.storedAt >= entry.ttl;
+      metrics.cacheRequests.inc({ backend: this.name, result: stale ? 'stale' : 'hit' });
+
+      if (stale) {
+        // Serve the stale value now and refresh behind it
+        this.fetch(key, fetcher, ttl).catch(error => {
+          logger.error('Error refreshing cached response', { key, error: error.message });
+        });
+      }
+      return entry;
+    }
+
+    metrics.cacheRequests.inc({ backend: this.name, result: 'miss' });
+    return this.fetch(key, fetcher, ttl);
+  }
+
+  /**
+   * Call fetcher() and store the result, sharing the call with anyone else
+   * asking for the same key in the meantime
+   */
+  fetch(key, fetcher, ttl) {
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const promise = (async () => {
+      try {
+        const entry = { value: await fetcher(), storedAt: Date.now(), ttl };
+        await this.write(key, entry);
+        return entry;
+      } finally {
+        this.inFlight.delete(key);
+      }
+    })();
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  async read(key) {
+    try {
+      return await this.backend.get(key);
+    } catch (error) {
+      logger.error('Cache read failed', { key, error: error.message });
+      return null;
+    }
+  }
+
+  async write(key, entry) {
+    try {
+      await this.backend.set(key, entry, entry.ttl + this.staleTtl);
+    } catch (error) {
+      logger.error('Cache write failed', { key, error: error.message });
+    }
+  }
+
+  async clear() {
+    try {
+      await this.backend.clear();
+    } catch (error) {
+      logger.error('Cache clear failed', { error: error.message });
+    }
+  }
+
+  close() {
+    return this.backend.close();
+  }
+}
+
+module.exports = {
+  ResponseCache,
+  MemoryCache,
+  RedisCache,
+  createBackend
+};
@@ -0,0 +1,49 @@
+const { config } = require('../../config');
+
+/**
+ * In-process cache backend. Entries expire after their TTL and the least
+ * recently used entry is evicted once maxEntries is reached.
+ */
+class MemoryCache {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.maxEntries = options.maxEntries || config.cache.maxEntries;
+    this.entries = new Map(); // key -> { value, expiresAt }, least recently used first
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryCache;
@@ -0,0 +1,77 @@
+const { createClient } = require('redis');
+const { logger } = require('../logger');
+const { config } = require('../../config');
+
+/**
+ * Redis cache backend, shared by every server process pointing at the same
+ * REDIS_URL. Values are stored as JSON under CACHE_PREFIX and Redis expires
+ * them itself.
+ */
+class RedisCache {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.prefix = options.prefix || config.cache.prefix;
+    this.client = createClient({
+      url: options.url || config.cache.redisUrl,
+      // Fail straight away while disconnected instead of queueing commands
+      disableOfflineQueue: true
+    });
+
+    // Without a listener, a dropped connection would crash the process.
+    // The client keeps reconnecting in the background.
+    this.client.on('error', error => {
+      logger.error('Redis cache error', { error: error.message });
+    });
+
+    this.client.connect().catch(() => {});
+  }
+
+  ensureReady() {
+    if (!this.client.isReady) {
+      throw new Error('Redis cache is not connected');
+    }
+  }
+
+  async get(key) {
+    this.ensureReady();
+    const raw = await this.client.get(this.prefix + key);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  async set(key, value, ttl) {
+    this.ensureReady();
+    await this.client.set(this.prefix + key, JSON.stringify(value), { PX: Math.ceil(ttl) });
+  }
+
+  async delete(key) {
+    this.ensureReady();
+    await this.client.del(this.prefix + key);
+  }
+
+  /**
+   * Remove this app's keys only, leaving anything else in the database alone
+   */
+  async clear() {
+    this.ensureReady();
+
+    const keys = [];
+    for await (const key of this.client.scanIterator({ MATCH: `${this.prefix}*`, COUNT: 100 })) {
+      keys.push(key);
+    }
+
+    if (keys.length > 0) {
+      await this.client.del(keys);
+    }
+  }
+
+  async close() {
+    if (this.client.isReady) {
+      await this.client.quit();
+    } else if (this.client.isOpen) {
+      // Still reconnecting, so there is nothing to flush
+      await this.client.disconnect();
+    }
+  }
+}
+
+module.exports = RedisCache;
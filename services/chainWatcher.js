@@ -0,0 +1,133 @@
+const EventEmitter = require('events');
+const { runWithoutRequestId } = require('./logger');
+const { config } = require('../config');
+
+const STATS_FIELDS = ['currentBlockHeight', 'totalBitcoinsInCirculation', 'difficulty', 'hashRate'];
+
+/**
+ * Polls providers while anyone is subscribed and emits an event whenever
+ * something changes:
+ *   block   -> { height, previousHeight, provider, timestamp }
+ *   stats   -> getCurrentStats() result
+ *   price   -> getPriceData('usd') result
+ *   mempool -> getMempoolData() result
+ *
+ * Chain and mempool are checked every STREAM_POLL_MS (default 15s), price
+ * every STREAM_PRICE_POLL_MS (default 60s) to stay inside CoinGecko's limits.
+ */
+class ChainWatcher extends EventEmitter {
+  constructor(bitcoinService, options = {}) {
+    super();
+    this.bitcoinService = bitcoinService;
+    this.pollInterval = options.pollInterval || config.stream.pollMs;
+    this.pricePollInterval = options.pricePollInterval || config.stream.pricePollMs;
+    this.latest = {}; // event -> last payload sent
+    this.timers = [];
+    this.subscribers = 0;
+    this.checking = new Set();
+  }
+
+  /**
+   * Call listener(event, data) for every event, starting with the latest
+   * known value of each. Polling runs while there is at least one subscriber.
+   * Returns a function that unsubscribes.
+   */
+  subscribe(listener) {
+    const handlers = ChainWatcher.EVENTS.map(event => {
+      const handler = data => listener(event, data);
+      this.on(event, handler);
+      return [event, handler];
+    });
+
+    for (const [event, data] of Object.entries(this.latest)) {
+      listener(event, data);
+    }
+
+    // The first subscriber is an /api/stream request; polling shouldn't be logged under its ID
+    if (++this.subscribers === 1) runWithoutRequestId(() => this.start());
+
+    return () => {
+      handlers.forEach(([event, handler]) => this.off(event, handler));
+      if (--this.subscribers === 0) this.stop();
+    };
+  }
+
+  start() {
+    this.timers = [
+      setInterval(() => this.check('chain', () => this.checkChain()), this.pollInterval),
+      setInterval(() => this.check('mempool', () => this.checkMempool()), this.pollInterval),
+      setInterval(() => this.check('price', () => this.checkPrice()), this.pricePollInterval)
+    ];
+
+    this.check('chain', () => this.checkChain());
+    this.check('mempool', () => this.checkMempool());
+    this.check('price', () => this.checkPrice());
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  /**
+   * Run one poll unless the previous one of the same kind is still going.
+   * Failures are already logged by the service; the next poll retries.
+   */
+  async check(kind, poll) {
+    if (this.checking.has(kind)) return;
+    this.checking.add(kind);
+
+    try {
+      await poll();
+    } catch (error) {
+      // Keep polling
+    } finally {
+      this.checking.delete(kind);
+    }
+  }
+
+  publish(event, data) {
+    this.latest[event] = data;
+    this.emit(event, data);
+  }
+
+  async checkChain() {
+    const stats = await this.bitcoinService.getCurrentStats();
+    const previous = this.latest.stats;
+
+    if (!previous || stats.currentBlockHeight !== previous.currentBlockHeight) {
+      this.publish('block', {
+        height: stats.currentBlockHeight,
+        previousHeight: previous ? previous.currentBlockHeight : null,
+        provider: stats.provider,
+        timestamp: stats.timestamp
+      });
+    }
+
+    if (!previous || STATS_FIELDS.some(field => stats[field] !== previous[field])) {
+      this.publish('stats', stats);
+    }
+  }
+
+  async checkMempool() {
+    const mempool = await this.bitcoinService.getMempoolData();
+    const previous = this.latest.mempool;
+
+    if (!previous || mempool.count !== previous.count || mempool.vsize !== previous.vsize) {
+      this.publish('mempool', mempool);
+    }
+  }
+
+  async checkPrice() {
+    const price = await this.bitcoinService.getPriceData('usd');
+    const previous = this.latest.price;
+
+    if (!previous || price.current !== previous.current) {
+      this.publish('price', price);
+    }
+  }
+}
+
+ChainWatcher.EVENTS = ['block', 'stats', 'price', 'mempool'];
+
+module.exports = ChainWatcher;
@@ -0,0 +1,137 @@
+const { config } = require('../config');
+
+const RETARGET_INTERVAL = 2016;
+const TARGET_TIMESPAN = RETARGET_INTERVAL * 600; // two weeks, in seconds
+// Consensus clamps each adjustment to a factor of 4 in either direction
+const MAX_ADJUSTMENT_FACTOR = 4;
+
+/**
+ * Tracks the 2016-block difficulty retarget cycle: progress through the
+ * current epoch, the projected adjustment and past adjustments.
+ *
+ * Epoch boundary blocks never change once buried, so they are cached by
+ * height; each one is looked up once per process, even by concurrent requests.
+ */
+class DifficultyTracker {
+  constructor(fetchBlockAtHeight, historyEpochs = config.estimates.difficultyHistoryEpochs) {
+    this.fetchBlockAtHeight = fetchBlockAtHeight;
+    this.historyEpochs = historyEpochs;
+    this.boundaryBlocks = new Map();
+  }
+
+  getEpochStartHeight(height) {
+    return Math.floor(height / RETARGET_INTERVAL) * RETARGET_INTERVAL;
+  }
+
+  getBoundaryBlock(height) {
+    if (!this.boundaryBlocks.has(height)) {
+      const block = this.fetchBlockAtHeight(height);
+      // A failed lookup is retried next time
+      block.catch(() => this.boundaryBlocks.delete(height));
+      this.boundaryBlocks.set(height, block);
+    }
+    return this.boundaryBlocks.get(height);
+  }
+
+  /**
+   * The tip's timestamp, from the block time window when it has the tip
+   */
+  async getTipTime(tipHeight, blockTimeEstimator) {
+    const time = blockTimeEstimator.getBlockTime(tipHeight);
+    return time !== undefined ? time : (await this.fetchBlockAtHeight(tipHeight)).time;
+  }
+
+  /**
+   * Difficulty change implied by an epoch's timespan. Bitcoin Core measures
+   * 2015 intervals (first to last block of the epoch) against a 2016-block target.
+   */
+  projectAdjustment(difficulty, meanBlockInterval) {
+    const actualTimespan = meanBlockInterval * (RETARGET_INTERVAL - 1);
+    const factor = Math.min(
+      Math.max(TARGET_TIMESPAN / actualTimespan, 1 / MAX_ADJUSTMENT_FACTOR),
+      MAX_ADJUSTMENT_FACTOR
+    );
+
+    return {
+      projectedDifficulty: difficulty * factor,
+      projectedChangePercent: (factor - 1) * 100
+    };
+  }
+
+  /**
+   * Past retargets, newest first, each compared with the epoch before it
+   */
+  async getHistory(currentEpochStart) {
+    const heights = [];
+    for (let i = 0; i <= this.historyEpochs; i++) {
+      const height = currentEpochStart - i * RETARGET_INTERVAL;
+      if (height < 0) break;
+      heights.push(height);
+    }
+
+    const blocks = await Promise.all(heights.map(height => this.getBoundaryBlock(height)));
+    const history = [];
+
+    for (let i = 0; i < blocks.length - 1; i++) {
+      const block = blocks[i];
+      const previous = blocks[i + 1];
+
+      history.push({
+        epoch: block.height / RETARGET_INTERVAL,
+        height: block.height,
+        date: new Date(block.time * 1000).toISOString(),
+        difficulty: block.difficulty,
+        changePercent: ((block.difficulty / previous.difficulty) - 1) * 100,
+        // Average block time of the epoch that ended at this retarget
+        averageBlockTime: (block.time - previous.time) / RETARGET_INTERVAL
+      });
+    }
+
+    return history;
+  }
+
+  /**
+   * Snapshot of the current epoch. blockTimeEstimator supplies the ETA and
+   * is also used for the projection before any block of the epoch is mined.
+   */
+  async getEpochStatus(tipHeight, blockTimeEstimator, blockTimeStats) {
+    const epochStartHeight = this.getEpochStartHeight(tipHeight);
+    const nextRetargetHeight = epochStartHeight + RETARGET_INTERVAL;
+    const blocksIntoEpoch = tipHeight - epochStartHeight;
+
+    const [epochStart, tipTime, history] = await Promise.all([
+      this.getBoundaryBlock(epochStartHeight),
+      this.getTipTime(tipHeight, blockTimeEstimator),
+      this.getHistory(epochStartHeight)
+    ]);
+
+    const epochMeanInterval = blocksIntoEpoch > 0
+      ? (tipTime - epochStart.time) / blocksIntoEpoch
+      : blockTimeStats.meanBlockInterval;
+    const projection = this.projectAdjustment(epochStart.difficulty, epochMeanInterval);
+    const eta = blockTimeEstimator.estimate(tipHeight, nextRetargetHeight, blockTimeStats);
+
+    return {
+      currentHeight: tipHeight,
+      epoch: epochStartHeight / RETARGET_INTERVAL,
+      epochStartHeight,
+      epochStartDate: new Date(epochStart.time * 1000).toISOString(),
+      nextRetargetHeight,
+      blocksIntoEpoch,
+      blocksUntilRetarget: nextRetargetHeight - tipHeight,
+      progressPercent: (blocksIntoEpoch / RETARGET_INTERVAL) * 100,
+      currentDifficulty: epochStart.difficulty,
+      epochAverageBlockTime: epochMeanInterval,
+      ...projection,
+      estimatedRetargetDate: eta.estimatedDate,
+      earliestRetargetDate: eta.earliestDate,
+      latestRetargetDate: eta.latestDate,
+      previousRetarget: history[0] || null,
+      history
+    };
+  }
+}
+
+DifficultyTracker.RETARGET_INTERVAL = RETARGET_INTERVAL;
+
+module.exports = DifficultyTracker;
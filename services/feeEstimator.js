@@ -0,0 +1,60 @@
+/**
+ * Fee rate recommendations from the mempool's fee histogram.
+ *
+ * Miners fill blocks with the highest-paying transactions first, so a
+ * transaction confirms within N blocks if no more than N blocks' worth of
+ * vsize pays more than it does. This assumes nothing new arrives and blocks
+ * come on schedule, so the estimates lean low when the mempool is filling up.
+ */
+
+// Block weight limit in vbytes
+const BLOCK_VSIZE = 1000000;
+
+// Lowest rate nodes relay by default
+const MIN_FEE_RATE = 1;
+
+const FEE_TARGETS = [1, 3, 6, 144];
+
+/**
+ * Rate in sat/vB (rounded up to 0.1) needed to be within targetBlocks blocks
+ * of the top of the mempool. histogram is [{ feeRate, vsize }], highest rate first.
+ */
+function estimateFeeRate(histogram, targetBlocks) {
+  const capacity = targetBlocks * BLOCK_VSIZE;
+  let ahead = 0;
+
+  for (const { feeRate, vsize } of histogram) {
+    ahead += vsize;
+    if (ahead >= capacity) {
+      return Math.max(Math.ceil(feeRate * 10) / 10, MIN_FEE_RATE);
+    }
+  }
+
+  // Everything waiting fits in time
+  return MIN_FEE_RATE;
+}
+
+/**
+ * Estimates for each target from a getFeeHistogramData() result
+ */
+function estimateFees(histogramData, targets = FEE_TARGETS) {
+  return {
+    estimates: targets.map(target => ({
+      target,
+      minutes: target * 10,
+      feeRate: estimateFeeRate(histogramData.feeHistogram, target)
+    })),
+    mempoolVsize: histogramData.vsize,
+    // Blocks it would take to clear the current backlog
+    blocksToClear: Math.ceil(histogramData.vsize / BLOCK_VSIZE),
+    provider: histogramData.provider,
+    timestamp: histogramData.timestamp
+  };
+}
+
+module.exports = {
+  FEE_TARGETS,
+  BLOCK_VSIZE,
+  estimateFeeRate,
+  estimateFees
+};
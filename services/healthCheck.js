@@ -0,0 +1,186 @@
+const metrics = require('./metrics');
+const { config } = require('../config');
+
+const STATUS_SEVERITY = { pass: 0, warn: 1, fail: 2 };
+
+// Cached response used to judge how fresh the cache is
+const CACHE_PROBE_KEY = 'current-stats';
+
+function worstStatus(statuses) {
+  return statuses.reduce((worst, status) => (STATUS_SEVERITY[status] > STATUS_SEVERITY[worst] ? status : worst), 'pass');
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Readiness checks behind /api/health/ready.
+ *
+ * Each dependency reports pass, warn or fail with the details behind it. The
+ * server is ready unless a check fails, which only happens when no provider
+ * answers: every data request would end in an error. A stale cache, an old
+ * tip or a late snapshot only warn, since the server keeps answering and they
+ * recover by themselves.
+ *
+ * A report is reused for HEALTH_CHECK_TTL_MS so frequent probes from Docker
+ * and a load balancer don't multiply into upstream traffic.
+ */
+class HealthCheck {
+  constructor({ bitcoinService, cache, snapshotScheduler, getLatestBlock }, options = {}) {
+    this.bitcoinService = bitcoinService;
+    this.cache = cache;
+    this.snapshotScheduler = snapshotScheduler;
+    this.getLatestBlock = getLatestBlock;
+
+    this.probeTimeout = options.probeTimeout || config.health.probeTimeoutMs;
+    this.ttl = options.ttl ?? config.health.checkTtlMs;
+    this.maxBlockAge = (options.maxBlockAgeMinutes || config.health.maxBlockAgeMinutes) * 60;
+    this.maxSnapshotAge = (options.maxSnapshotAgeMinutes || config.health.maxSnapshotAgeMinutes) * 60 * 1000;
+
+    this.startedAt = Date.now();
+    this.lastReport = null;
+    this.pending = null;
+  }
+
+  /**
+   * { status, timestamp, checks: { providers, cache, latestBlock, scheduler } }
+   */
+  async check() {
+    if (this.lastReport && Date.now() - Date.parse(this.lastReport.timestamp) < this.ttl) {
+      return this.lastReport;
+    }
+
+    if (!this.pending) {
+      this.pending = this.run()
+        .then(report => {
+          this.lastReport = report;
+          return report;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  async run() {
+    const [providers, cache, latestBlock] = await Promise.all([
+      this.checkProviders(),
+      this.checkCache(),
+      this.checkLatestBlock()
+    ]);
+    const checks = { providers, cache, latestBlock, scheduler: this.checkScheduler() };
+
+    return {
+      status: worstStatus(Object.values(checks).map(check => check.status)),
+      timestamp: new Date().toISOString(),
+      checks
+    };
+  }
+
+  /**
+   * Ask every provider for its tip height. Failing over needs only one of
+   * them, so some failing is a warning and all failing is a failure.
+   */
+  async checkProviders() {
+    const results = await Promise.all(this.bitcoinService.providers.map(async provider => {
+      if (!provider.supports('getTipHeight')) {
+        return { name: provider.name, status: 'warn', error: 'No reachability probe for this provider' };
+      }
+
+      const startedAt = Date.now();
+      try {
+        const tipHeight = await metrics.timeUpstream(provider.name, 'getTipHeight', () => (
+          withTimeout(provider.getTipHeight(), this.probeTimeout)
+        ));
+        return { name: provider.name, status: 'pass', latencyMs: Date.now() - startedAt, tipHeight };
+      } catch (error) {
+        return { name: provider.name, status: 'fail', latencyMs: Date.now() - startedAt, error: error.message };
+      }
+    }));
+
+    const reachable = results.filter(result => result.status === 'pass').length;
+    let status = 'pass';
+    if (reachable === 0) status = 'fail';
+    else if (reachable < results.length) status = 'warn';
+
+    return { status, reachable, total: results.length, providers: results };
+  }
+
+  /**
+   * Whether the backend answers and how old the cached stats are
+   */
+  async checkCache() {
+    const details = { backend: this.cache.name };
+
+    let entry;
+    try {
+      entry = await withTimeout(this.cache.backend.get(CACHE_PROBE_KEY), this.probeTimeout);
+    } catch (error) {
+      // Requests still work, just without caching
+      return { status: 'warn', ...details, error: error.message };
+    }
+
+    if (!entry) {
+      return { status: 'pass', ...details, key: CACHE_PROBE_KEY, ageSeconds: null };
+    }
+
+    const age = Date.now() - entry.storedAt;
+    return {
+      status: age < entry.ttl ? 'pass' : 'warn',
+      ...details,
+      key: CACHE_PROBE_KEY,
+      ageSeconds: Math.round(age / 1000),
+      ttlSeconds: Math.round(entry.ttl / 1000)
+    };
+  }
+
+  /**
+   * Time since the latest block. Blocks are ~10 minutes apart, so a tip much
+   * older than that usually means the providers have stopped following the chain.
+   */
+  async checkLatestBlock() {
+    const details = { maxAgeSeconds: this.maxBlockAge };
+
+    try {
+      const block = await withTimeout(this.getLatestBlock(), this.probeTimeout);
+      const age = Math.max(Math.round(Date.now() / 1000 - block.time), 0);
+
+      return {
+        status: age <= this.maxBlockAge ? 'pass' : 'warn',
+        ...details,
+        height: block.height,
+        ageSeconds: age
+      };
+    } catch (error) {
+      return { status: 'warn', ...details, error: error.message };
+    }
+  }
+
+  /**
+   * Time since the last history snapshot (or since startup, before the first one)
+   */
+  checkScheduler() {
+    const details = {
+      schedule: this.snapshotScheduler.schedule,
+      lastRun: this.snapshotScheduler.lastRun,
+      maxAgeSeconds: this.maxSnapshotAge / 1000
+    };
+
+    if (!this.snapshotScheduler.task) {
+      return { status: 'warn', ...details, error: 'Snapshot scheduler is not running' };
+    }
+
+    const since = this.snapshotScheduler.lastRun ? Date.parse(this.snapshotScheduler.lastRun) : this.startedAt;
+    return { status: Date.now() - since <= this.maxSnapshotAge ? 'pass' : 'warn', ...details };
+  }
+}
+
+HealthCheck.STATUSES = Object.keys(STATUS_SEVERITY);
+
+module.exports = HealthCheck;
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const PriceService = require('./priceService');
+const { config } = require('../config');
+
+/**
+ * Append-only JSONL store for historical snapshots.
+ *
+ * Each line is one snapshot: `{ "timestamp": "<ISO>", "<metric>": <number>, ... }`.
+ * The file is loaded into memory on startup and appended to on every write,
+ * so history survives restarts without needing a database server.
+ */
+class HistoryStore {
+  constructor(filePath = config.history.file) {
+    this.filePath = filePath;
+    this.snapshots = [];
+    this.loaded = false;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Load existing snapshots from disk, skipping any corrupt lines
+   */
+  load() {
+    if (this.loaded) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          this.snapshots.push(JSON.parse(line));
+        } catch (error) {
+          logger.warn('Skipping corrupt history line', { error: error.message });
+        }
+      }
+      this.snapshots.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    }
+
+    this.loaded = true;
+  }
+
+  /**
+   * Append a snapshot to the store. Appends are queued so flush() can wait for them.
+   */
+  async append(snapshot) {
+    this.load();
+
+    const record = {
+      timestamp: snapshot.timestamp || new Date().toISOString(),
+      ...snapshot
+    };
+
+    const write = () => fs.promises.appendFile(this.filePath, JSON.stringify(record) + '\n');
+    this.saving = this.saving.then(write, write);
+    await this.saving;
+    this.snapshots.push(record);
+    return record;
+  }
+
+  /**
+   * Resolves once queued writes have finished. A failed write has already
+   * been reported to whoever made it.
+   */
+  flush() {
+    return this.saving.then(() => {}, () => {});
+  }
+
+  /**
+   * Get the time series for a single metric between two dates (inclusive)
+   */
+  query(metric, from, to) {
+    this.load();
+
+    const fromTime = from ? new Date(from).getTime() : 0;
+    const toTime = to ? new Date(to).getTime() : Date.now();
+
+    return this.snapshots
+      .filter(snapshot => {
+        const time = Date.parse(snapshot.timestamp);
+        return time >= fromTime && time <= toTime && typeof snapshot[metric] === 'number';
+      })
+      .map(snapshot => ({
+        timestamp: snapshot.timestamp,
+        value: snapshot[metric]
+      }));
+  }
+
+  /**
+   * Get the most recent snapshot, if any
+   */
+  latest() {
+    this.load();
+    return this.snapshots[this.snapshots.length - 1] || null;
+  }
+}
+
+HistoryStore.METRICS = [
+  'blockHeight',
+  'circulatingSupply',
+  'difficulty',
+  'hashRate',
+  ...PriceService.METRICS,
+  'mempoolTxCount',
+  'mempoolVsize'
+];
+
+module.exports = HistoryStore;
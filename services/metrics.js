@@ -0,0 +1,119 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics, served at /metrics.
+ *
+ * One registry per process. Services record into the metrics below directly;
+ * the business gauges are refreshed by app.js on every scrape.
+ */
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const upstreamDuration = new client.Histogram({
+  name: 'bitcoin_tracker_upstream_request_duration_seconds',
+  help: 'Latency of calls to data providers by provider and operation',
+  labelNames: ['provider', 'operation', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const upstreamErrors = new client.Counter({
+  name: 'bitcoin_tracker_upstream_errors_total',
+  help: 'Failed calls to data providers by provider and operation',
+  labelNames: ['provider', 'operation'],
+  registers: [register]
+});
+
+const cacheRequests = new client.Counter({
+  name: 'bitcoin_tracker_cache_requests_total',
+  help: 'Response cache lookups by result (hit, stale or miss)',
+  labelNames: ['backend', 'result'],
+  registers: [register]
+});
+
+const uptime = new client.Gauge({
+  name: 'bitcoin_tracker_uptime_seconds',
+  help: 'Seconds since the server process started',
+  registers: [register],
+  collect() {
+    this.set(process.uptime());
+  }
+});
+
+const blockHeight = new client.Gauge({
+  name: 'bitcoin_block_height',
+  help: 'Latest block height seen',
+  registers: [register]
+});
+
+const latestBlockAge = new client.Gauge({
+  name: 'bitcoin_latest_block_age_seconds',
+  help: 'Seconds since the latest block seen was mined',
+  registers: [register]
+});
+
+const circulatingSupply = new client.Gauge({
+  name: 'bitcoin_circulating_supply_btc',
+  help: 'Bitcoin in circulation',
+  registers: [register]
+});
+
+const hashRate = new client.Gauge({
+  name: 'bitcoin_hashrate_hashes_per_second',
+  help: 'Estimated network hash rate',
+  registers: [register]
+});
+
+const difficulty = new client.Gauge({
+  name: 'bitcoin_difficulty',
+  help: 'Current mining difficulty',
+  registers: [register]
+});
+
+/**
+ * Time an upstream call and count it as an error if it throws
+ */
+async function timeUpstream(provider, operation, call) {
+  const end = upstreamDuration.startTimer({ provider, operation });
+
+  try {
+    const result = await call();
+    end({ outcome: 'success' });
+    return result;
+  } catch (error) {
+    end({ outcome: 'error' });
+    upstreamErrors.inc({ provider, operation });
+    throw error;
+  }
+}
+
+module.exports = {
+  register,
+  httpRequests,
+  httpRequestDuration,
+  upstreamDuration,
+  upstreamErrors,
+  cacheRequests,
+  uptime,
+  blockHeight,
+  latestBlockAge,
+  circulatingSupply,
+  hashRate,
+  difficulty,
+  timeUpstream
+};
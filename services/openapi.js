@@ -0,0 +1,776 @@
+const HistoryStore = require('./historyStore');
+const PoolTracker = require('./poolTracker');
+const PushNotifier = require('./pushNotifier');
+const { RULE_TYPES } = require('./alertRules');
+const { ERROR_CODES } = require('./apiEnvelope');
+const HealthCheck = require('./healthCheck');
+const PriceService = require('./priceService');
+const { FEE_TARGETS } = require('./feeEstimator');
+const SETTINGS = require('../config/schema');
+
+/**
+ * OpenAPI 3.1 description of every /api route, served at /api/openapi.json.
+ *
+ * The schemas describe what app.js actually sends. They are also used to
+ * validate query parameters on every request and, when NODE_ENV is
+ * development, outgoing responses (see apiValidator.js), so a response that
+ * drifts from its schema shows up in the server log.
+ */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => (schema.$ref || !schema.type
+  ? { anyOf: [schema, { type: 'null' }] }
+  : { ...schema, type: [schema.type, 'null'] });
+
+const number = { type: 'number' };
+const integer = { type: 'integer' };
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const dateTime = { type: 'string', format: 'date-time' };
+const date = { type: 'string', format: 'date' };
+
+function object(properties, required = Object.keys(properties)) {
+  return { type: 'object', properties, required };
+}
+
+function json(description, schema, headers) {
+  return {
+    description,
+    ...(headers && { headers }),
+    content: { 'application/json': { schema } }
+  };
+}
+
+const rateLimitHeaders = {
+  'RateLimit-Policy': { $ref: '#/components/headers/RateLimitPolicy' },
+  'RateLimit-Limit': { $ref: '#/components/headers/RateLimitLimit' },
+  'RateLimit-Remaining': { $ref: '#/components/headers/RateLimitRemaining' },
+  'RateLimit-Reset': { $ref: '#/components/headers/RateLimitReset' }
+};
+
+const cachedHeaders = {
+  ETag: { $ref: '#/components/headers/ETag' },
+  'Last-Modified': { $ref: '#/components/headers/LastModified' },
+  'Cache-Control': { $ref: '#/components/headers/CacheControl' },
+  ...rateLimitHeaders
+};
+
+const errors = {
+  400: { $ref: '#/components/responses/BadRequest' },
+  401: { $ref: '#/components/responses/Unauthorized' },
+  403: { $ref: '#/components/responses/Forbidden' },
+  404: { $ref: '#/components/responses/NotFound' },
+  429: { $ref: '#/components/responses/TooManyRequests' },
+  500: { $ref: '#/components/responses/ServerError' },
+  503: { $ref: '#/components/responses/Unavailable' }
+};
+
+const pick = (...codes) => Object.fromEntries(codes.map(code => [code, errors[code]]));
+
+// Operations that need an API key even when API_KEYS_REQUIRED is off
+const KEYED = [{ ApiKeyHeader: [] }, { BearerAuth: [] }];
+
+/**
+ * A GET route answered from the response cache
+ */
+function cachedGet(summary, schema, parameters = [], extraErrors = []) {
+  return {
+    get: {
+      summary,
+      parameters,
+      responses: {
+        200: json(summary, schema, cachedHeaders),
+        304: { description: 'Not modified since the If-None-Match / If-Modified-Since validator' },
+        ...pick(...(parameters.length > 0 ? [400] : []), 401, 429, 500, ...extraErrors)
+      }
+    }
+  };
+}
+
+/**
+ * The settings marked public in config/schema.js, by section
+ */
+function publicConfigSchema() {
+  return Object.fromEntries(Object.entries(SETTINGS).flatMap(([section, settings]) => {
+    const properties = Object.fromEntries(Object.entries(settings)
+      .filter(([, setting]) => setting.public)
+      .map(([key, setting]) => [key, { ...setting.schema, description: setting.env }]));
+    return Object.keys(properties).length > 0 ? [[section, object(properties)]] : [];
+  }));
+}
+
+const schemas = {
+  Error: object({
+    error: string,
+    message: string
+  }),
+
+  BlockTimeStats: object({
+    windowSize: integer,
+    sampleSize: integer,
+    fromHeight: integer,
+    toHeight: integer,
+    meanBlockInterval: { ...number, description: 'Seconds' },
+    stdDevBlockInterval: { ...number, description: 'Seconds' },
+    blocksPerDay: number,
+    isEstimated: { ...boolean, description: 'True when too few recent blocks were available and the 10-minute target was assumed' }
+  }, ['windowSize', 'sampleSize', 'meanBlockInterval', 'stdDevBlockInterval', 'blocksPerDay', 'isEstimated']),
+
+  CurrentStats: object({
+    currentBlockHeight: integer,
+    totalBitcoinsInCirculation: number,
+    currentBlockReward: number,
+    difficulty: number,
+    hashRate: nullable({ ...number, description: 'H/s' }),
+    provider: { ...string, description: 'Data provider that answered' },
+    timestamp: dateTime
+  }),
+
+  DailyBlock: object({
+    height: integer,
+    hash: string,
+    time: dateTime,
+    size: nullable(integer),
+    tx_count: nullable(integer),
+    pool: nullable(object({ id: string, name: string })),
+    subsidy: { ...number, description: 'BTC' },
+    fees: nullable({ ...number, description: 'BTC; null if the coinbase could not be read' }),
+    reward: nullable(number)
+  }, ['height', 'hash', 'time', 'subsidy', 'fees', 'reward']),
+
+  DailyStats: object({
+    date: date,
+    blocksMinedLast24h: integer,
+    bitcoinMinedLast24h: { ...number, description: 'Newly issued BTC (subsidy only)' },
+    feesLast24h: nullable(number),
+    minerRevenueLast24h: nullable(number),
+    feeShareOfRevenue: nullable({ ...number, description: 'Percent' }),
+    feeDataComplete: boolean,
+    averageBlockTime: { ...number, description: 'Minutes' },
+    isEstimated: boolean,
+    provider: nullable(string),
+    blocks: { type: 'array', items: ref('DailyBlock') }
+  }, ['date', 'blocksMinedLast24h', 'bitcoinMinedLast24h', 'feesLast24h', 'minerRevenueLast24h', 'feeShareOfRevenue', 'feeDataComplete', 'averageBlockTime', 'isEstimated', 'provider', 'blocks']),
+
+  HalvingEstimate: object({
+    nextHalvingBlock: integer,
+    blocksUntilHalving: integer,
+    daysUntilHalving: integer,
+    estimatedDate: date,
+    earliestDate: date,
+    latestDate: date,
+    confidenceLevel: number,
+    meanBlockInterval: number,
+    isEstimated: boolean,
+    currentReward: number,
+    nextReward: number
+  }),
+
+  Remaining: object({
+    totalSupply: number,
+    currentSupply: number,
+    remainingBitcoin: number,
+    percentageMined: number,
+    estimatedCompletionDate: date,
+    completionDateRange: object({ earliest: date, latest: date }),
+    blocksRemaining: integer,
+    estimatedDaysToCompletion: integer,
+    currentBlockReward: number,
+    nextHalvingEstimate: ref('HalvingEstimate'),
+    blockTimeStats: ref('BlockTimeStats'),
+    provider: string
+  }),
+
+  MiningSummary: object({
+    timestamp: dateTime,
+    current: ref('CurrentStats'),
+    daily: ref('DailyStats'),
+    remaining: ref('Remaining'),
+    summary: object({
+      bitcoinMinedToday: number,
+      bitcoinRemaining: number,
+      percentageComplete: number,
+      estimatedDaysToCompletion: integer
+    })
+  }),
+
+  SupplyEra: object({
+    era: integer,
+    startHeight: integer,
+    endHeight: integer,
+    subsidySats: integer,
+    subsidy: number,
+    eraIssuanceSats: integer,
+    eraIssuance: number,
+    cumulativeSupplySats: integer,
+    cumulativeSupply: number
+  }),
+
+  SupplySchedule: object({
+    maxSupply: number,
+    maxSupplySats: integer,
+    halvingInterval: integer,
+    currentHeight: integer,
+    currentEra: integer,
+    currentSubsidy: number,
+    issued: number,
+    issuedSats: integer,
+    remaining: number,
+    percentageIssued: number,
+    nextHalvingHeight: integer,
+    nextSubsidy: number,
+    lastSubsidyHeight: integer,
+    blocksUntilLastSubsidy: integer,
+    eras: { type: 'array', items: ref('SupplyEra') },
+    provider: string,
+    timestamp: dateTime
+  }),
+
+  Retarget: object({
+    epoch: integer,
+    height: integer,
+    date: dateTime,
+    difficulty: number,
+    changePercent: number,
+    averageBlockTime: { ...number, description: 'Seconds' }
+  }),
+
+  DifficultyAdjustment: object({
+    currentHeight: integer,
+    epoch: integer,
+    epochStartHeight: integer,
+    epochStartDate: dateTime,
+    nextRetargetHeight: integer,
+    blocksIntoEpoch: integer,
+    blocksUntilRetarget: integer,
+    progressPercent: number,
+    currentDifficulty: number,
+    epochAverageBlockTime: { ...number, description: 'Seconds' },
+    projectedDifficulty: number,
+    projectedChangePercent: number,
+    estimatedRetargetDate: dateTime,
+    earliestRetargetDate: dateTime,
+    latestRetargetDate: dateTime,
+    previousRetarget: nullable(ref('Retarget')),
+    history: { type: 'array', items: ref('Retarget') },
+    provider: string,
+    timestamp: dateTime
+  }),
+
+  HeightEstimate: object({
+    currentHeight: integer,
+    targetHeight: integer,
+    blocksRemaining: integer,
+    daysRemaining: integer,
+    estimatedDate: dateTime,
+    earliestDate: dateTime,
+    latestDate: dateTime,
+    confidenceLevel: number,
+    meanBlockInterval: number,
+    isEstimated: boolean,
+    blockTimeStats: ref('BlockTimeStats'),
+    provider: string,
+    timestamp: dateTime
+  }, ['currentHeight', 'targetHeight', 'blocksRemaining', 'daysRemaining', 'estimatedDate', 'earliestDate', 'latestDate', 'confidenceLevel', 'isEstimated', 'provider', 'timestamp']),
+
+  History: object({
+    metric: { type: 'string', enum: HistoryStore.METRICS },
+    from: nullable(string),
+    to: nullable(string),
+    points: {
+      type: 'array',
+      items: object({ timestamp: dateTime, value: nullable(number) })
+    }
+  }),
+
+  PoolDistribution: object({
+    window: { type: 'string', enum: PoolTracker.WINDOWS },
+    from: dateTime,
+    to: dateTime,
+    totalBlocks: integer,
+    pools: {
+      type: 'array',
+      items: object({
+        id: string,
+        name: string,
+        link: nullable(string),
+        blocks: integer,
+        hashrateShare: { ...number, description: 'Percent of blocks in the window' }
+      })
+    },
+    coverage: object({
+      fromHeight: nullable(integer),
+      toHeight: nullable(integer),
+      complete: boolean
+    }),
+    definitionsVersion: nullable(string),
+    timestamp: dateTime
+  }),
+
+  AlertRuleInput: object({
+    name: string,
+    type: { type: 'string', enum: Object.keys(RULE_TYPES) },
+    params: { type: 'object', description: 'Depends on type; see types in GET /api/alerts' },
+    webhookUrl: nullable({ ...string, format: 'uri' }),
+    cooldownMinutes: nullable({ ...number, minimum: 0 }),
+    enabled: boolean
+  }, ['type']),
+
+  AlertRule: object({
+    id: string,
+    name: nullable(string),
+    type: { type: 'string', enum: Object.keys(RULE_TYPES) },
+    params: { type: 'object' },
+    webhookUrl: nullable(string),
+    cooldownMinutes: nullable(number),
+    enabled: boolean,
+    createdAt: dateTime,
+    updatedAt: dateTime,
+    state: object({
+      active: boolean,
+      key: nullable(string),
+      lastValue: { description: 'Last observed value; its type depends on the rule type' },
+      lastEvaluatedAt: nullable(dateTime),
+      lastTriggeredAt: nullable(dateTime),
+      lastMessage: nullable(string),
+      lastDelivery: nullable({ type: 'object' }),
+      lastError: nullable(string)
+    })
+  }),
+
+  AlertList: object({
+    rules: { type: 'array', items: ref('AlertRule') },
+    types: {
+      type: 'object',
+      additionalProperties: object({ description: string, params: { type: 'object' } })
+    },
+    lastRun: nullable({ type: 'object' })
+  }),
+
+  PushSubscriptionInput: object({
+    subscription: object({
+      endpoint: { ...string, format: 'uri' },
+      keys: object({ p256dh: string, auth: string })
+    }, ['endpoint', 'keys']),
+    oldEndpoint: { ...string, description: 'Endpoint this subscription replaces; removed only when oldKeys are its keys' },
+    oldKeys: object({ p256dh: string, auth: string }, ['p256dh', 'auth']),
+    topics: { type: 'array', items: { type: 'string', enum: PushNotifier.TOPICS }, minItems: 1 },
+    priceThresholds: { type: 'array', items: { ...number, exclusiveMinimum: 0, description: 'USD' } }
+  }, ['subscription']),
+
+  PushSubscription: object({
+    endpoint: string,
+    topics: { type: 'array', items: { type: 'string', enum: PushNotifier.TOPICS } },
+    priceThresholds: { type: 'array', items: number }
+  }),
+
+  Usage: object({
+    authenticated: boolean,
+    key: nullable(object({ id: string, name: nullable(string) })),
+    tier: string,
+    rateLimit: object({
+      limit: integer,
+      window: string,
+      remaining: integer,
+      reset: { ...integer, description: 'Seconds until the bucket is full again' }
+    }),
+    dailyQuota: nullable(object({
+      limit: integer,
+      used: integer,
+      remaining: integer,
+      reset: { ...integer, description: 'Seconds until the quota resets (UTC midnight)' }
+    }))
+  }),
+
+  Health: object({
+    status: string,
+    timestamp: dateTime,
+    uptime: number,
+    version: string
+  }),
+
+  HealthReady: object({
+    status: { ...string, enum: HealthCheck.STATUSES, description: 'fail (503) only when no provider answers' },
+    timestamp: { ...dateTime, description: 'When the checks ran (reused for HEALTH_CHECK_TTL_MS)' },
+    uptime: number,
+    version: string,
+    checks: object({
+      providers: object({
+        status: ref('HealthStatus'),
+        reachable: integer,
+        total: integer,
+        providers: {
+          type: 'array',
+          items: object({
+            name: string,
+            status: ref('HealthStatus'),
+            latencyMs: integer,
+            tipHeight: integer,
+            error: string
+          }, ['name', 'status'])
+        }
+      }),
+      cache: object({
+        status: ref('HealthStatus'),
+        backend: string,
+        key: string,
+        ageSeconds: nullable(integer),
+        ttlSeconds: integer,
+        error: string
+      }, ['status', 'backend']),
+      latestBlock: object({
+        status: ref('HealthStatus'),
+        maxAgeSeconds: integer,
+        height: integer,
+        ageSeconds: integer,
+        error: string
+      }, ['status', 'maxAgeSeconds']),
+      scheduler: object({
+        status: ref('HealthStatus'),
+        schedule: string,
+        lastRun: nullable(dateTime),
+        maxAgeSeconds: number,
+        error: string
+      }, ['status', 'schedule', 'lastRun', 'maxAgeSeconds'])
+    })
+  }),
+
+  HealthStatus: { ...string, enum: HealthCheck.STATUSES },
+
+  Mempool: object({
+    count: { ...integer, description: 'Unconfirmed transactions' },
+    vsize: { ...integer, description: 'Total virtual size in vbytes' },
+    totalFee: nullable({ ...integer, description: 'Total fees in satoshis' }),
+    feeHistogram: nullable({
+      type: 'array',
+      description: 'Highest rate first; each entry is the vsize paying at least feeRate and less than the previous entry',
+      items: object({ feeRate: { ...number, description: 'sat/vB' }, vsize: integer })
+    }),
+    provider: string,
+    timestamp: dateTime
+  }),
+
+  FeeEstimate: object({
+    estimates: {
+      type: 'array',
+      items: object({
+        target: { ...integer, description: 'Confirmation target in blocks' },
+        minutes: { ...integer, description: 'The target at 10 minutes per block' },
+        feeRate: { ...number, description: 'Recommended sat/vB' }
+      })
+    },
+    mempoolVsize: integer,
+    blocksToClear: { ...integer, description: 'Full blocks needed to clear the current mempool' },
+    provider: string,
+    timestamp: { ...dateTime, description: 'When the mempool was fetched' }
+  }),
+
+  Price: object({
+    currency: string,
+    current: number,
+    change24h: nullable({ ...number, description: 'Percent; null when CoinGecko is unavailable' }),
+    marketCap: nullable(number),
+    volume24h: nullable(number),
+    provider: { ...string, description: 'coingecko, a blockchain provider, or history-store for the last recorded USD price' },
+    timestamp: { ...dateTime, description: 'When the price was fetched or recorded' },
+    stale: { ...boolean, description: 'Past its cache TTL, or the last recorded price because every source failed' }
+  }),
+
+  PriceHistory: object({
+    currency: string,
+    range: { ...string, enum: PriceService.RANGES },
+    interval: { ...string, enum: PriceService.INTERVALS },
+    candles: {
+      type: 'array',
+      items: object({
+        time: { ...dateTime, description: 'Start of the interval (UTC)' },
+        open: number,
+        high: number,
+        low: number,
+        close: number,
+        samples: { ...integer, description: 'Snapshots in the interval' }
+      })
+    },
+    lastUpdated: nullable({ ...dateTime, description: 'Latest recorded price' }),
+    stale: { ...boolean, description: 'No price recorded within HEALTH_MAX_SNAPSHOT_AGE_MINUTES' }
+  }),
+
+  PublicConfig: object({
+    version: string,
+    apiBase: string,
+    ...publicConfigSchema()
+  }),
+
+  Meta: object({
+    source: nullable({ ...string, description: 'Provider or component the data came from' }),
+    fetchedAt: { ...dateTime, description: 'When the data was fetched upstream' },
+    blockHeight: nullable({ ...integer, description: 'Chain tip the data describes' }),
+    stale: { ...boolean, description: 'Served past its cache TTL while a refresh runs' },
+    estimatedFields: {
+      type: 'array',
+      items: string,
+      description: 'Fields, or whole sections, filled in from fallback assumptions instead of observed data'
+    }
+  }),
+
+  V2Error: object({
+    error: object({
+      code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+      message: string
+    })
+  })
+};
+
+const spec = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Bitcoin Mining Tracker API',
+    version: '1.0.0',
+    description: 'Bitcoin mining statistics, remaining supply, difficulty, mining pools, alerts and push notifications.'
+  },
+  servers: [{ url: '/' }],
+  tags: [
+    { name: 'v1', description: 'Original API, kept as it is for existing clients' },
+    { name: 'v2', description: 'Every response wrapped in { data, meta }; errors as { error: { code, message } }' }
+  ],
+  security: [{}, { ApiKeyHeader: [] }, { BearerAuth: [] }, { ApiKeyQuery: [] }],
+  paths: {
+    '/api': {
+      get: {
+        summary: 'API overview',
+        responses: { 200: json('Endpoints, caching and data sources', { type: 'object' }) }
+      }
+    },
+    '/api/openapi.json': {
+      get: {
+        summary: 'This OpenAPI document',
+        responses: { 200: json('OpenAPI 3.1 document', { type: 'object' }) }
+      }
+    },
+    '/api/docs': {
+      get: {
+        summary: 'Interactive API documentation',
+        responses: { 200: { description: 'HTML page', content: { 'text/html': {} } } }
+      }
+    },
+    '/api/config': {
+      get: {
+        summary: 'Public configuration for the dashboard',
+        responses: { 200: json('Public settings', ref('PublicConfig')), ...pick(401, 429) }
+      }
+    },
+    '/api/mining-summary': cachedGet('Comprehensive mining summary', ref('MiningSummary')),
+    '/api/current-stats': cachedGet('Current blockchain statistics', ref('CurrentStats')),
+    '/api/daily-stats': cachedGet('Blocks mined in the last 24 hours with subsidy, fees and pools', ref('DailyStats')),
+    '/api/remaining': cachedGet('Remaining supply and completion estimate', ref('Remaining')),
+    '/api/supply-schedule': cachedGet('Subsidy by era, cumulative issuance and the supply cap', ref('SupplySchedule')),
+    '/api/difficulty': cachedGet('Difficulty epoch progress, projected retarget and past adjustments', ref('DifficultyAdjustment')),
+    '/api/eta': cachedGet('Estimate when a block height will be reached, with a 95% range', ref('HeightEstimate'), [
+      { name: 'height', in: 'query', required: true, schema: { type: 'integer', minimum: 0 } }
+    ]),
+    '/api/mempool': cachedGet('Mempool transaction count, vsize, total fees and fee rate histogram', ref('Mempool')),
+    '/api/fees/estimate': cachedGet('Recommended fee rates from the mempool fee histogram', ref('FeeEstimate'), [
+      { name: 'target', in: 'query', description: 'Blocks; every target when left out', schema: { type: 'integer', enum: FEE_TARGETS } }
+    ], [503]),
+    '/api/pools': cachedGet('Blocks mined and hash rate share per mining pool', ref('PoolDistribution'), [
+      { name: 'window', in: 'query', schema: { type: 'string', enum: PoolTracker.WINDOWS, default: '24h' } }
+    ]),
+    '/api/history': {
+      get: {
+        summary: 'Stored time series for a metric',
+        parameters: [
+          { name: 'metric', in: 'query', required: true, schema: { type: 'string', enum: HistoryStore.METRICS } },
+          { name: 'from', in: 'query', description: 'ISO 8601 date', schema: string },
+          { name: 'to', in: 'query', description: 'ISO 8601 date', schema: string }
+        ],
+        responses: { 200: json('Time series', ref('History'), rateLimitHeaders), ...pick(400, 401, 429, 500) }
+      }
+    },
+    '/api/price': cachedGet('Current price in a currency, with provider fallback', ref('Price'), [
+      { name: 'currency', in: 'query', schema: { type: 'string', enum: PriceService.CURRENCIES, default: 'usd' } }
+    ]),
+    '/api/price/history': cachedGet('OHLC candles from the recorded price history', ref('PriceHistory'), [
+      { name: 'currency', in: 'query', schema: { type: 'string', enum: PriceService.CURRENCIES, default: 'usd' } },
+      { name: 'range', in: 'query', schema: { type: 'string', enum: PriceService.RANGES, default: '30d' } },
+      { name: 'interval', in: 'query', schema: { type: 'string', enum: PriceService.INTERVALS, default: '1d' } }
+    ]),
+    '/api/alerts': {
+      get: {
+        summary: 'List alert rules, their state and the available rule types',
+        security: KEYED,
+        responses: { 200: json('Alert rules', ref('AlertList'), rateLimitHeaders), ...pick(401, 429, 500) }
+      },
+      post: {
+        summary: 'Create an alert rule',
+        security: KEYED,
+        requestBody: { required: true, content: { 'application/json': { schema: ref('AlertRuleInput') } } },
+        responses: { 201: json('Created rule', ref('AlertRule')), ...pick(400, 401, 429, 500) }
+      }
+    },
+    '/api/alerts/{id}': {
+      parameters: [{ name: 'id', in: 'path', required: true, schema: string }],
+      get: {
+        summary: 'Get one alert rule',
+        security: KEYED,
+        responses: { 200: json('Alert rule', ref('AlertRule')), ...pick(401, 404, 429) }
+      },
+      put: {
+        summary: 'Replace an alert rule',
+        security: KEYED,
+        requestBody: { required: true, content: { 'application/json': { schema: ref('AlertRuleInput') } } },
+        responses: { 200: json('Updated rule', ref('AlertRule')), ...pick(400, 401, 404, 429, 500) }
+      },
+      delete: {
+        summary: 'Delete an alert rule',
+        security: KEYED,
+        responses: { 204: { description: 'Deleted' }, ...pick(401, 404, 429, 500) }
+      }
+    },
+    '/api/push/public-key': {
+      get: {
+        summary: 'VAPID public key for Web Push subscriptions',
+        responses: { 200: json('Public key', object({ publicKey: string })), ...pick(401, 429, 500) }
+      }
+    },
+    '/api/push/subscribe': {
+      post: {
+        summary: 'Store a Web Push subscription',
+        requestBody: { required: true, content: { 'application/json': { schema: ref('PushSubscriptionInput') } } },
+        responses: { 201: json('Stored subscription', ref('PushSubscription')), ...pick(400, 401, 403, 429, 500) }
+      }
+    },
+    '/api/push/unsubscribe': {
+      post: {
+        summary: 'Remove a Web Push subscription',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: object({ endpoint: string, keys: object({ p256dh: string, auth: string }, ['p256dh', 'auth']) }, ['endpoint', 'keys'])
+            }
+          }
+        },
+        responses: { 204: { description: 'Removed' }, ...pick(400, 401, 404, 429, 500) }
+      }
+    },
+    '/api/stream': {
+      get: {
+        summary: 'Server-Sent Events: block, stats, price and mempool changes as they happen',
+        responses: {
+          200: { description: 'Event stream with block, stats, price and mempool events', content: { 'text/event-stream': {} } },
+          ...pick(401, 429)
+        }
+      }
+    },
+    '/api/usage': {
+      get: {
+        summary: 'Rate limit and daily quota usage for your API key or IP',
+        responses: { 200: json('Usage', ref('Usage'), rateLimitHeaders), ...pick(401, 429) }
+      }
+    },
+    '/api/health': {
+      get: {
+        summary: 'Health check (same as /api/health/live)',
+        security: [],
+        responses: { 200: json('Healthy', ref('Health')) }
+      }
+    },
+    '/api/health/live': {
+      get: {
+        summary: 'Liveness: the process is up',
+        security: [],
+        responses: { 200: json('Alive', ref('Health')) }
+      }
+    },
+    '/api/health/ready': {
+      get: {
+        summary: 'Readiness: providers, cache freshness, latest block age and the snapshot scheduler',
+        security: [],
+        responses: {
+          200: json('Ready (every check passed or warned)', ref('HealthReady')),
+          503: json('Not ready (a check failed)', ref('HealthReady'))
+        }
+      }
+    }
+  },
+  components: {
+    schemas,
+    securitySchemes: {
+      ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      BearerAuth: { type: 'http', scheme: 'bearer' },
+      ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key', description: 'For EventSource, which cannot set headers' }
+    },
+    headers: {
+      ETag: { description: 'Tip height and when the response was cached', schema: string },
+      LastModified: { description: 'When the response was cached', schema: string },
+      CacheControl: { description: 'max-age is the time left in the cache TTL', schema: string },
+      RateLimitPolicy: { description: 'Requests per window, e.g. 60;w=60', schema: string },
+      RateLimitLimit: { schema: integer },
+      RateLimitRemaining: { schema: integer },
+      RateLimitReset: { description: 'Seconds until the limit resets', schema: integer },
+      RetryAfter: { description: 'Seconds to wait before retrying', schema: integer }
+    },
+    responses: {
+      BadRequest: json('Invalid request', ref('Error')),
+      Unauthorized: json('Missing or invalid API key', ref('Error')),
+      Forbidden: json('Not allowed for this caller', ref('Error')),
+      NotFound: json('Not found', ref('Error')),
+      TooManyRequests: json('Rate limit or daily quota exceeded', ref('Error'), {
+        'Retry-After': { $ref: '#/components/headers/RetryAfter' },
+        ...rateLimitHeaders
+      }),
+      ServerError: json('Upstream or internal failure', ref('Error')),
+      Unavailable: json('No data source can answer this', ref('Error'))
+    }
+  }
+};
+
+for (const pathItem of Object.values(spec.paths)) {
+  for (const method of ['get', 'post', 'put', 'delete']) {
+    if (pathItem[method]) pathItem[method].tags = ['v1'];
+  }
+}
+
+// /api/v2 serves the v1 data wrapped in { data, meta }, with v2 error bodies
+const V2_ROUTES = [
+  '/mining-summary', '/current-stats', '/daily-stats', '/remaining', '/supply-schedule',
+  '/difficulty', '/eta', '/pools', '/history', '/health', '/mempool', '/fees/estimate',
+  '/price', '/price/history'
+];
+
+const V2_ERROR_RESPONSES = {
+  400: json('Invalid request (INVALID_PARAMETER)', ref('V2Error')),
+  401: json('Missing or invalid API key (API_KEY_REQUIRED, INVALID_API_KEY)', ref('V2Error')),
+  404: json('Not found (NOT_FOUND)', ref('V2Error')),
+  429: json('Rate limit or daily quota exceeded (RATE_LIMITED, QUOTA_EXCEEDED)', ref('V2Error'), {
+    'Retry-After': { $ref: '#/components/headers/RetryAfter' },
+    ...rateLimitHeaders
+  }),
+  500: json('Internal failure (INTERNAL_ERROR)', ref('V2Error')),
+  502: json('Every data provider failed (UPSTREAM_ERROR)', ref('V2Error'))
+};
+
+for (const route of V2_ROUTES) {
+  const operation = spec.paths[`/api${route}`].get;
+  // Cached routes fail when the providers do (v1's 503 for fee estimates
+  // included); the rest fail internally
+  const cached = Boolean(operation.responses[304]);
+  const responses = {};
+
+  for (const [code, response] of Object.entries(operation.responses)) {
+    if (code === '200') {
+      responses[code] = json(response.description, object({
+        data: response.content['application/json'].schema,
+        meta: ref('Meta')
+      }), response.headers);
+    } else if (code === '500' || (cached && code === '503')) {
+      responses[cached ? 502 : 500] = V2_ERROR_RESPONSES[cached ? 502 : 500];
+    } else {
+      responses[code] = V2_ERROR_RESPONSES[code] || response;
+    }
+  }
+
+  spec.paths[`/api/v2${route}`] = { get: { ...operation, tags: ['v2'], responses } };
+}
+
+module.exports = spec;
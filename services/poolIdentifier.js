@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { config } = require('../config');
+
+const UNKNOWN_POOL = { id: 'unknown', name: 'Unknown', link: null };
+
+/**
+ * Identifies the mining pool behind a block from its coinbase transaction.
+ *
+ * Payout addresses are checked first since they are the stronger signal;
+ * otherwise the coinbase scriptSig is decoded and searched for a pool's tags
+ * (case-insensitive). The definitions file is re-read whenever it changes on
+ * disk, so it can be updated without a restart.
+ *
+ * Two file formats are accepted:
+ *   { "version", "pools": [{ id, name, link, tags: [], addresses: [] }] }
+ *   { "coinbase_tags": { tag: { name, link } }, "payout_addresses": { address: { name, link } } }
+ * The second is the community-maintained pools.json format.
+ */
+class PoolIdentifier {
+  constructor(filePath = config.pools.definitionsFile) {
+    this.filePath = filePath;
+    this.version = null;
+    this.pools = [];
+    this.tags = [];
+    this.addresses = new Map();
+    this.loadedMtime = null;
+  }
+
+  /**
+   * (Re)load the definitions if the file changed since the last load.
+   * A file that fails to parse leaves the previous definitions in place.
+   */
+  load() {
+    let mtime;
+    try {
+      mtime = fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      if (this.loadedMtime === null) {
+        throw new Error(`Pool definitions not found at ${this.filePath}`);
+      }
+      return;
+    }
+
+    if (mtime === this.loadedMtime) return;
+
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.setDefinitions(raw.pools ? raw : this.convertLegacyFormat(raw));
+      this.loadedMtime = mtime;
+      logger.info('Loaded pool definitions', { count: this.pools.length, file: this.filePath });
+    } catch (error) {
+      logger.error('Error loading pool definitions', { file: this.filePath, error: error.message });
+      if (this.loadedMtime === null) throw error;
+    }
+  }
+
+  setDefinitions(definitions) {
+    this.version = definitions.version || null;
+    this.pools = definitions.pools.map(pool => ({
+      id: pool.id,
+      name: pool.name,
+      link: pool.link || null
+    }));
+    this.tags = [];
+    this.addresses = new Map();
+
+    definitions.pools.forEach((pool, index) => {
+      for (const tag of pool.tags || []) {
+        this.tags.push({ tag: tag.toLowerCase(), pool: this.pools[index] });
+      }
+      for (const address of pool.addresses || []) {
+        this.addresses.set(address, this.pools[index]);
+      }
+    });
+
+    // Longer tags are more specific, so they win over tags they contain
+    this.tags.sort((a, b) => b.tag.length - a.tag.length);
+  }
+
+  /**
+   * Convert { coinbase_tags, payout_addresses } into the pools list format,
+   * grouping entries by pool name
+   */
+  convertLegacyFormat(raw) {
+    const pools = new Map();
+    const poolFor = entry => {
+      if (!pools.has(entry.name)) {
+        pools.set(entry.name, {
+          id: entry.name.toLowerCase().replace(/[^a-z0-9]/g, ''),
+          name: entry.name,
+          link: entry.link,
+          tags: [],
+          addresses: []
+        });
+      }
+      return pools.get(entry.name);
+    };
+
+    for (const [tag, entry] of Object.entries(raw.coinbase_tags || {})) {
+      poolFor(entry).tags.push(tag);
+    }
+    for (const [address, entry] of Object.entries(raw.payout_addresses || {})) {
+      poolFor(entry).addresses.push(address);
+    }
+
+    return { version: raw.version || null, pools: [...pools.values()] };
+  }
+
+  /**
+   * Pool for a coinbase `{ scriptSig (hex), addresses }`, or the "unknown"
+   * pool when nothing matches or the coinbase isn't available
+   */
+  identify(coinbase) {
+    if (!coinbase) return UNKNOWN_POOL;
+
+    for (const address of coinbase.addresses || []) {
+      if (this.addresses.has(address)) return this.addresses.get(address);
+    }
+
+    if (coinbase.scriptSig) {
+      const text = Buffer.from(coinbase.scriptSig, 'hex').toString('utf8').toLowerCase();
+      const match = this.tags.find(({ tag }) => text.includes(tag));
+      if (match) return match.pool;
+    }
+
+    return UNKNOWN_POOL;
+  }
+}
+
+PoolIdentifier.UNKNOWN_POOL = UNKNOWN_POOL;
+
+module.exports = PoolIdentifier;
@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const PoolIdentifier = require('./poolIdentifier');
+const { logger } = require('./logger');
+const { config } = require('../config');
+
+const DAY = 24 * 60 * 60 * 1000;
+const WINDOWS = { '24h': DAY, '7d': 7 * DAY, '30d': 30 * DAY };
+const MAX_WINDOW = WINDOWS['30d'];
+
+// Block timestamps may run up to ~2 hours out of order, so re-read that far back
+const TIMESTAMP_SLACK = 2 * 60 * 60 * 1000;
+// Older blocks filled in per backfill() call
+const BACKFILL_BLOCKS = 500;
+const COINBASE_FETCH_CONCURRENCY = 10;
+
+/**
+ * Keeps the last 30 days of blocks with their coinbase tag and payout
+ * addresses, and reports which pools mined them.
+ *
+ * Coinbase data is stored rather than the pool it matched, so updated pool
+ * definitions re-attribute past blocks too. Blocks are persisted as JSONL
+ * (POOL_BLOCKS_FILE, default data/pool-blocks.jsonl); later lines replace
+ * earlier ones at the same height, which also covers reorgs.
+ *
+ * source provides fetchBlocksSince(ms), fetchBlocksBefore(height, count)
+ * and fetchCoinbase(hash) -> { scriptSig, addresses }.
+ */
+class PoolTracker {
+  constructor(source, identifier = new PoolIdentifier(), filePath = config.pools.blocksFile) {
+    this.source = source;
+    this.identifier = identifier;
+    this.filePath = filePath;
+    this.blocks = new Map(); // height -> { height, hash, time, coinbase }
+    this.loaded = false;
+    this.refreshing = null;
+    this.backfilling = null;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Load stored blocks, dropping anything older than the longest window
+   */
+  load() {
+    if (this.loaded) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          const block = JSON.parse(line);
+          this.blocks.set(block.height, block);
+        } catch (error) {
+          logger.warn('Skipping corrupt pool block line', { error: error.message });
+        }
+      }
+
+      // Rewrite the file without superseded and expired lines
+      if (this.prune() || this.blocks.size < lines.filter(line => line.trim()).length) {
+        const records = [...this.blocks.values()].sort((a, b) => a.height - b.height);
+        fs.writeFileSync(this.filePath, records.map(block => JSON.stringify(block) + '\n').join(''));
+      }
+    }
+
+    this.loaded = true;
+  }
+
+  prune(now = Date.now()) {
+    let pruned = false;
+    for (const [height, block] of this.blocks) {
+      if (block.time * 1000 < now - MAX_WINDOW - TIMESTAMP_SLACK) {
+        this.blocks.delete(height);
+        pruned = true;
+      }
+    }
+    return pruned;
+  }
+
+  /**
+   * Pick up blocks mined since the newest stored block
+   */
+  async refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.update().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async update() {
+    this.load();
+    this.identifier.load();
+
+    const now = Date.now();
+    const times = [...this.blocks.values()].map(block => block.time * 1000);
+    const since = times.length > 0
+      ? Math.max(Math.max(...times) - TIMESTAMP_SLACK, now - MAX_WINDOW)
+      : now - MAX_WINDOW;
+
+    await this.store(await this.source.fetchBlocksSince(since));
+    this.prune(now);
+  }
+
+  /**
+   * Fill in up to BACKFILL_BLOCKS older blocks below the oldest contiguous
+   * stored block, until the 30-day window is covered
+   */
+  async backfill() {
+    if (!this.backfilling) {
+      this.backfilling = this.fillBackwards().finally(() => {
+        this.backfilling = null;
+      });
+    }
+    return this.backfilling;
+  }
+
+  async fillBackwards() {
+    this.load();
+
+    const oldest = this.getOldestContiguousBlock();
+    if (!oldest || oldest.time * 1000 < Date.now() - MAX_WINDOW || oldest.height === 0) return;
+
+    await this.store(await this.source.fetchBlocksBefore(oldest.height, BACKFILL_BLOCKS));
+  }
+
+  /**
+   * Oldest block reachable from the tip without a gap in heights
+   */
+  getOldestContiguousBlock() {
+    const heights = [...this.blocks.keys()].sort((a, b) => b - a);
+    if (heights.length === 0) return null;
+
+    let index = 0;
+    while (index + 1 < heights.length && heights[index + 1] === heights[index] - 1) {
+      index++;
+    }
+    return this.blocks.get(heights[index]);
+  }
+
+  /**
+   * Save new or changed blocks along with their coinbase. Blocks whose
+   * coinbase can't be fetched are kept in memory as unknown and retried on
+   * the next call, but not persisted.
+   */
+  async store(blocks) {
+    const pending = blocks.filter(block => {
+      const stored = this.blocks.get(block.height);
+      return !stored || stored.hash !== block.hash || !stored.coinbase;
+    });
+
+    // Unresolved blocks from earlier calls get another try
+    for (const block of this.blocks.values()) {
+      if (!block.coinbase && !pending.some(item => item.height === block.height)) {
+        pending.push(block);
+      }
+    }
+
+    const records = pending.map(block => ({
+      height: block.height,
+      hash: block.hash,
+      time: block.time,
+      coinbase: block.coinbase || null
+    }));
+
+    let failed = false;
+    const missing = records.filter(record => !record.coinbase);
+    for (let i = 0; i < missing.length && !failed; i += COINBASE_FETCH_CONCURRENCY) {
+      await Promise.all(missing.slice(i, i + COINBASE_FETCH_CONCURRENCY).map(async record => {
+        try {
+          const { scriptSig, addresses } = await this.source.fetchCoinbase(record.hash);
+          record.coinbase = { scriptSig, addresses };
+        } catch (error) {
+          failed = true;
+        }
+      }));
+    }
+
+    for (const record of records) {
+      this.blocks.set(record.height, record);
+    }
+
+    const resolved = records.filter(record => record.coinbase);
+    if (resolved.length > 0) {
+      const write = () => fs.promises.appendFile(this.filePath, resolved.map(record => JSON.stringify(record) + '\n').join(''));
+      this.saving = this.saving.then(write, write);
+      await this.saving;
+    }
+  }
+
+  /**
+   * Resolves once queued writes have finished. A failed write has already
+   * been reported to whoever made it.
+   */
+  flush() {
+    return this.saving.then(() => {}, () => {});
+  }
+
+  /**
+   * Pool that mined each of the given blocks, storing any not seen yet
+   */
+  async attribute(blocks) {
+    this.load();
+    this.identifier.load();
+
+    await this.store(blocks);
+
+    return blocks.map(block => {
+      const stored = this.blocks.get(block.height);
+      const { id, name } = this.identifier.identify(stored && stored.hash === block.hash ? stored.coinbase : null);
+      return { id, name };
+    });
+  }
+
+  /**
+   * Blocks and share of hash rate per pool over a window ('24h', '7d' or '30d').
+   * Blocks that match no pool are counted as "unknown".
+   */
+  getDistribution(window, now = Date.now()) {
+    this.load();
+    this.identifier.load();
+
+    const since = now - WINDOWS[window];
+    const blocks = [...this.blocks.values()]
+      .filter(block => block.time * 1000 >= since)
+      .sort((a, b) => b.height - a.height);
+
+    const counts = new Map();
+    for (const block of blocks) {
+      const pool = this.identifier.identify(block.coinbase);
+      const entry = counts.get(pool.id) || { ...pool, blocks: 0 };
+      entry.blocks++;
+      counts.set(pool.id, entry);
+    }
+
+    const pools = [...counts.values()]
+      .map(pool => ({
+        ...pool,
+        // Blocks found are the best available proxy for each pool's hash rate
+        hashrateShare: (pool.blocks / blocks.length) * 100
+      }))
+      .sort((a, b) => b.blocks - a.blocks);
+
+    // Complete once the window has no gaps and the block before it is stored too
+    const oldest = this.getOldestContiguousBlock();
+    const complete = blocks.length > 0 &&
+      blocks[0].height - blocks[blocks.length - 1].height + 1 === blocks.length &&
+      oldest !== null && oldest.time * 1000 < since;
+
+    return {
+      window,
+      from: new Date(since).toISOString(),
+      to: new Date(now).toISOString(),
+      totalBlocks: blocks.length,
+      pools,
+      coverage: {
+        fromHeight: blocks.length > 0 ? blocks[blocks.length - 1].height : null,
+        toHeight: blocks.length > 0 ? blocks[0].height : null,
+        complete
+      },
+      definitionsVersion: this.identifier.version
+    };
+  }
+}
+
+PoolTracker.WINDOWS = Object.keys(WINDOWS);
+
+module.exports = PoolTracker;
@@ -0,0 +1,143 @@
+const { logger } = require('./logger');
+const { config } = require('../config');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const CURRENCIES = ['usd', 'eur', 'gbp', 'jpy', 'cad', 'aud', 'chf'];
+
+// History store metric holding the price in a currency: priceUSD, priceEUR, ...
+const priceMetric = currency => `price${currency.toUpperCase()}`;
+
+// How far back /api/price/history looks; all means everything stored
+const RANGES = {
+  '24h': DAY,
+  '7d': 7 * DAY,
+  '30d': 30 * DAY,
+  '90d': 90 * DAY,
+  '1y': 365 * DAY,
+  'all': null
+};
+
+const INTERVALS = {
+  '1h': HOUR,
+  '4h': 4 * HOUR,
+  '1d': DAY
+};
+
+/**
+ * Group price points into OHLC candles of intervalMs, aligned to UTC so daily
+ * candles run midnight to midnight. Intervals without a point are left out.
+ */
+function buildCandles(points, intervalMs) {
+  const candles = [];
+
+  for (const point of points) {
+    const start = Math.floor(Date.parse(point.timestamp) / intervalMs) * intervalMs;
+    const candle = candles[candles.length - 1];
+
+    if (candle && candle.start === start) {
+      candle.high = Math.max(candle.high, point.value);
+      candle.low = Math.min(candle.low, point.value);
+      candle.close = point.value;
+      candle.samples++;
+    } else {
+      candles.push({ start, open: point.value, high: point.value, low: point.value, close: point.value, samples: 1 });
+    }
+  }
+
+  return candles.map(({ start, ...candle }) => ({ time: new Date(start).toISOString(), ...candle }));
+}
+
+/**
+ * Bitcoin prices for /api/price and /api/price/history.
+ *
+ * Current prices go through the response cache, so every client and tab
+ * shares one upstream call per currency and TTL. When every source fails and
+ * nothing is cached, the price falls back to the last one the snapshot
+ * scheduler recorded. Either way the response says whether it's stale.
+ *
+ * History is built from the snapshots of each currency's own price, so past
+ * candles are in the exchange rate of their day. Both methods resolve to
+ * { body, entry }, entry being the cache entry behind body (null for the
+ * recorded fallback) for the route to send validators from.
+ */
+class PriceService {
+  constructor({ bitcoinService, historyStore, getCachedData }) {
+    this.bitcoinService = bitcoinService;
+    this.historyStore = historyStore;
+    this.getCachedData = getCachedData;
+
+    // Snapshots later than this make the history stale, as they do readiness
+    this.maxSnapshotAge = config.health.maxSnapshotAgeMinutes * 60 * 1000;
+  }
+
+  /**
+   * body is { currency, current, change24h, marketCap, volume24h, provider, timestamp, stale }
+   */
+  async getPrice(currency) {
+    try {
+      const entry = await this.getCachedData(`price:${currency}`, () => this.bitcoinService.getPriceData(currency));
+      return { body: { ...entry.value, stale: Date.now() - entry.storedAt >= entry.ttl }, entry };
+    } catch (error) {
+      const recorded = this.getRecordedPrice(currency);
+      if (!recorded) throw error;
+
+      logger.warn('Serving the last recorded price', { currency, timestamp: recorded.timestamp, error: error.message });
+      return { body: recorded, entry: null };
+    }
+  }
+
+  getRecordedPrice(currency) {
+    const points = this.historyStore.query(priceMetric(currency));
+    const latest = points[points.length - 1];
+    if (!latest) return null;
+
+    return {
+      currency: currency.toUpperCase(),
+      current: latest.value,
+      change24h: null,
+      marketCap: null,
+      volume24h: null,
+      provider: 'history-store',
+      timestamp: latest.timestamp,
+      stale: true
+    };
+  }
+
+  /**
+   * OHLC candles over range at interval, in currency. Cached like the other
+   * routes; a new snapshot shows up once the entry expires.
+   */
+  async getHistory(currency, range, interval) {
+    const entry = await this.getCachedData(
+      `price-history:${currency}:${range}:${interval}`,
+      async () => this.buildHistory(currency, range, interval)
+    );
+    return { body: entry.value, entry };
+  }
+
+  buildHistory(currency, range, interval) {
+    const from = RANGES[range] === null ? null : new Date(Date.now() - RANGES[range]).toISOString();
+    const points = this.historyStore.query(priceMetric(currency), from);
+    const lastUpdated = points.length > 0 ? points[points.length - 1].timestamp : null;
+
+    return {
+      currency: currency.toUpperCase(),
+      range,
+      interval,
+      candles: buildCandles(points, INTERVALS[interval]),
+      lastUpdated,
+      stale: !lastUpdated || Date.now() - Date.parse(lastUpdated) > this.maxSnapshotAge
+    };
+  }
+}
+
+PriceService.CURRENCIES = CURRENCIES;
+PriceService.METRICS = CURRENCIES.map(priceMetric);
+PriceService.buildCandles = buildCandles;
+PriceService.priceMetric = priceMetric;
+PriceService.RANGES = Object.keys(RANGES);
+PriceService.INTERVALS = Object.keys(INTERVALS);
+
+module.exports = PriceService;
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const DataProvider = require('./dataProvider');
+const { logger } = require('../logger');
+const { config } = require('../../config');
+
+// Blocks fetched per JSON-RPC batch when walking back through recent blocks
+const BLOCK_BATCH_SIZE = 10;
+const MAX_BLOCK_BATCHES = 50;
+
+const BLOCK_STATS_FIELDS = ['height', 'blockhash', 'time', 'total_size', 'txs'];
+
+/**
+ * Bitcoin Core JSON-RPC provider for self-hosted nodes.
+ *
+ * Authenticates with the node's cookie file when BITCOIN_RPC_COOKIE_FILE is
+ * set, otherwise with BITCOIN_RPC_USER / BITCOIN_RPC_PASSWORD.
+ */
+class BitcoinCoreProvider extends DataProvider {
+  constructor(options = {}) {
+    super('bitcoin-core', options.baseURL || config.bitcoinCore.url, options);
+
+    this.cookieFile = options.cookieFile || config.bitcoinCore.cookieFile;
+    this.username = options.username || config.bitcoinCore.user;
+    this.password = options.password || config.bitcoinCore.password;
+    this.utxoHashType = options.utxoHashType || config.bitcoinCore.utxoHashType;
+    this.utxoTimeout = options.utxoTimeout || config.bitcoinCore.utxoTimeoutMs;
+
+    this.requestId = 0;
+    this.supplyCache = null;
+  }
+
+  /**
+   * Credentials for the next request. The cookie file is re-read every time
+   * because bitcoind rewrites it on each restart.
+   */
+  getAuth() {
+    if (this.cookieFile) {
+      const cookie = fs.readFileSync(this.cookieFile, 'utf8').trim();
+      const separator = cookie.indexOf(':');
+      return {
+        username: cookie.slice(0, separator),
+        password: cookie.slice(separator + 1)
+      };
+    }
+
+    if (this.username) {
+      return { username: this.username, password: this.password || '' };
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Send a JSON-RPC request, or a batch when given an array of calls
+   */
+  async rpc(calls, options = {}) {
+    const batch = Array.isArray(calls);
+    const payload = (batch ? calls : [calls]).map(({ method, params = [] }) => ({
+      jsonrpc: '1.0',
+      id: ++this.requestId,
+      method,
+      params
+    }));
+
+    let response;
+    try {
+      response = await this.http.post('/', batch ? payload : payload[0], {
+        auth: this.getAuth(),
+        timeout: options.timeout || this.http.defaults.timeout
+      });
+    } catch (error) {
+      // bitcoind returns RPC errors with an HTTP 500 status
+      const rpcError = error.response && error.response.data && error.response.data.error;
+      if (rpcError) {
+        throw new Error(`RPC ${payload[0].method} failed: ${rpcError.message} (code ${rpcError.code})`);
+      }
+      throw error;
+    }
+
+    const replies = batch ? response.data : [response.data];
+    const results = payload.map(request => {
+      const reply = replies.find(item => item.id === request.id);
+      if (!reply) {
+        throw new Error(`RPC ${request.method} returned no reply`);
+      }
+      if (reply.error) {
+        throw new Error(`RPC ${request.method} failed: ${reply.error.message} (code ${reply.error.code})`);
+      }
+      return reply.result;
+    });
+
+    return batch ? results : results[0];
+  }
+
+  async call(method, ...params) {
+    return this.rpc({ method, params });
+  }
+
+  /**
+   * Circulating supply from the UTXO set. gettxoutsetinfo scans the whole
+   * set, so the result is cached per block and estimated from height if the
+   * call fails or times out.
+   */
+  async getCirculatingSupply(blockHeight) {
+    if (this.supplyCache && this.supplyCache.height === blockHeight) {
+      return this.supplyCache.supply;
+    }
+
+    try {
+      const info = await this.rpc(
+        { method: 'gettxoutsetinfo', params: [this.utxoHashType] },
+        { timeout: this.utxoTimeout }
+      );
+      this.supplyCache = { height: info.height, supply: info.total_amount };
+      return info.total_amount;
+    } catch (error) {
+      logger.warn('gettxoutsetinfo failed, estimating supply from height', { error: error.message });
+      return this.estimateSupplyAtHeight(blockHeight);
+    }
+  }
+
+  async getTipHeight() {
+    return this.call('getblockcount');
+  }
+
+  async getChainStats() {
+    const [blockchainInfo, miningInfo] = await this.rpc([
+      { method: 'getblockchaininfo' },
+      { method: 'getmininginfo' }
+    ]);
+
+    return {
+      blockHeight: blockchainInfo.blocks,
+      circulatingSupply: await this.getCirculatingSupply(blockchainInfo.blocks),
+      difficulty: blockchainInfo.difficulty,
+      hashRate: miningInfo.networkhashps
+    };
+  }
+
+  /**
+   * Walk backwards from the tip (or startHeight) in JSON-RPC batches, calling
+   * visit() with each normalized block until it returns false
+   */
+  async walkBlocks(visit, maxBatches = MAX_BLOCK_BATCHES, startHeight) {
+    let height = startHeight;
+    if (height === undefined) {
+      const blockchainInfo = await this.call('getblockchaininfo');
+      height = blockchainInfo.blocks;
+    }
+
+    for (let batch = 0; batch < maxBatches && height >= 0; batch++) {
+      const heights = [];
+      for (let i = 0; i < BLOCK_BATCH_SIZE && height - i >= 0; i++) {
+        heights.push(height - i);
+      }
+
+      const stats = await this.rpc(heights.map(blockHeight => ({
+        method: 'getblockstats',
+        params: [blockHeight, BLOCK_STATS_FIELDS]
+      })));
+
+      for (const block of stats) {
+        const normalized = {
+          height: block.height,
+          hash: block.blockhash,
+          time: block.time,
+          // getblockstats excludes the coinbase and header from total_size
+          size: block.total_size,
+          tx_count: block.txs
+          // No coinbaseValue: subsidy + totalfee is only what the coinbase may
+          // claim, and some pools claim less. getCoinbaseValue reads the payout.
+        };
+        if (visit(normalized) === false) return;
+      }
+
+      height -= heights.length;
+    }
+  }
+
+  async getBlocksSince(since) {
+    const blocks = [];
+
+    await this.walkBlocks(block => {
+      if (block.time * 1000 < since) return false;
+      blocks.push(block);
+      return true;
+    });
+
+    return blocks;
+  }
+
+  async getRecentBlocks(count) {
+    const blocks = [];
+
+    await this.walkBlocks(block => {
+      blocks.push(block);
+      return blocks.length < count;
+    }, Math.ceil(count / BLOCK_BATCH_SIZE));
+
+    return blocks;
+  }
+
+  async getBlocksBefore(height, count) {
+    const blocks = [];
+
+    await this.walkBlocks(block => {
+      blocks.push(block);
+      return blocks.length < count;
+    }, Math.ceil(count / BLOCK_BATCH_SIZE), height - 1);
+
+    return blocks;
+  }
+
+  async getBlockAtHeight(height) {
+    const hash = await this.call('getblockhash', height);
+    const header = await this.call('getblockheader', hash);
+
+    return {
+      height: header.height,
+      hash: header.hash,
+      time: header.time,
+      difficulty: header.difficulty
+    };
+  }
+
+  async getCoinbaseValue(hash) {
+    const coinbase = await this.getCoinbaseTransaction(hash);
+    return coinbase.value;
+  }
+
+  /**
+   * Passing the block hash lets getrawtransaction find the coinbase without -txindex
+   */
+  async getCoinbaseTransaction(hash) {
+    const block = await this.call('getblock', hash, 1);
+    const tx = await this.call('getrawtransaction', block.tx[0], true, hash);
+
+    return {
+      scriptSig: tx.vin[0].coinbase,
+      addresses: tx.vout.map(output => output.scriptPubKey.address).filter(Boolean),
+      value: Math.round(tx.vout.reduce((total, output) => total + output.value, 0) * 100000000)
+    };
+  }
+
+  async getMempool() {
+    const info = await this.call('getmempoolinfo');
+
+    return {
+      count: info.size,
+      vsize: info.bytes,
+      // total_fee is reported in BTC (Bitcoin Core 23+)
+      totalFee: typeof info.total_fee === 'number' ? Math.round(info.total_fee * 100000000) : null,
+      // Building one would mean fetching every mempool entry
+      feeHistogram: null
+    };
+  }
+}
+
+module.exports = BitcoinCoreProvider;
@@ -0,0 +1,76 @@
+const DataProvider = require('./dataProvider');
+const { config } = require('../../config');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Safety limit on the days listed; enough for the 30-day pool window
+const MAX_DAY_PAGES = 32;
+
+/**
+ * blockchain.info API provider
+ *
+ * There's no getBlockAtHeight: blockchain.info only serves blocks by height
+ * with every transaction, so difficulty lookups go to the next provider.
+ */
+class BlockchainInfoProvider extends DataProvider {
+  constructor(options = {}) {
+    super('blockchain.info', options.baseURL || config.providers.blockchainInfoUrl, options);
+  }
+
+  async getTipHeight() {
+    const response = await this.http.get('/q/getblockcount');
+    return Number(response.data);
+  }
+
+  async getChainStats() {
+    const response = await this.http.get('/stats', { params: { format: 'json' } });
+    const stats = response.data;
+
+    return {
+      blockHeight: stats.n_blocks_total,
+      circulatingSupply: stats.totalbc / 100000000,
+      difficulty: stats.difficulty,
+      hashRate: stats.hash_rate * 1e9 // reported in GH/s
+    };
+  }
+
+  /**
+   * /blocks/{ms} lists the blocks of the UTC day containing ms, so walk back
+   * a day at a time from today until the day that contains since
+   */
+  async getBlocksSince(since) {
+    const blocks = [];
+    const firstDay = Math.floor(since / DAY) * DAY;
+    let day = Math.floor(Date.now() / DAY) * DAY;
+
+    for (let page = 0; page < MAX_DAY_PAGES && day >= firstDay; page++, day -= DAY) {
+      const response = await this.http.get(`/blocks/${day}`, { params: { format: 'json' } });
+
+      for (const block of response.data.blocks) {
+        if (block.main_chain === false || block.time * 1000 < since) continue;
+        blocks.push({
+          height: block.height,
+          hash: block.hash,
+          time: block.time,
+          size: block.size,
+          tx_count: block.n_tx
+        });
+      }
+    }
+
+    // Newest first, as the other providers return them
+    return blocks.sort((a, b) => b.height - a.height);
+  }
+
+  async getPrice(currency) {
+    const response = await this.http.get('/ticker');
+    const ticker = response.data[currency.toUpperCase()];
+
+    if (!ticker || typeof ticker.last !== 'number') {
+      throw new Error(`${this.name} has no ${currency.toUpperCase()} price`);
+    }
+    return ticker.last;
+  }
+}
+
+module.exports = BlockchainInfoProvider;
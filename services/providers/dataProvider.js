@@ -0,0 +1,119 @@
+const axios = require('axios');
+const supplySchedule = require('../../public/supplySchedule');
+const { logHttpClient } = require('../logger');
+
+/**
+ * Base class for blockchain data providers.
+ *
+ * Providers return data in a normalized shape so BitcoinDataService can fail
+ * over between them transparently:
+ *   getTipHeight()        -> height of the chain tip (cheap; used as a reachability probe)
+ *   getChainStats()       -> { blockHeight, circulatingSupply, difficulty, hashRate }
+ *   getBlocksSince(ms)    -> [{ height, hash, time, size, tx_count, coinbaseValue? }]
+ *                            (time in unix seconds, coinbaseValue in satoshis when the listing includes it,
+ *                            coinbase as { scriptSig, addresses } likewise)
+ *   getRecentBlocks(n)    -> the n most recent blocks, same shape, newest first
+ *   getBlocksBefore(h, n) -> the n blocks below height h, same shape, newest first
+ *   getBlockAtHeight(h)   -> { height, hash, time, difficulty }, from the header alone
+ *   getCoinbaseValue(hash) -> total coinbase output in satoshis
+ *   getCoinbaseTransaction(hash) -> { scriptSig (hex), addresses, value (satoshis) }
+ *   getMempool()          -> { count, vsize, totalFee, feeHistogram }
+ *                            (feeHistogram as [{ feeRate (sat/vB), vsize }], highest rate first, or null
+ *                            when the provider doesn't report one)
+ *   getFeeHistogram()     -> { vsize, feeHistogram }, only from providers that report a histogram
+ *   getPrice(currency)    -> last BTC price in the currency (lowercase ISO code)
+ *
+ * hashRate is always in H/s and circulatingSupply in BTC.
+ */
+class DataProvider {
+  constructor(name, baseURL, options = {}) {
+    this.name = name;
+    this.baseURL = baseURL;
+    this.http = logHttpClient(axios.create({
+      baseURL,
+      timeout: options.timeout || 10000
+    }), name);
+  }
+
+  async getTipHeight() {
+    throw this.unsupported('getTipHeight');
+  }
+
+  async getChainStats() {
+    throw this.unsupported('getChainStats');
+  }
+
+  async getBlocksSince() {
+    throw this.unsupported('getBlocksSince');
+  }
+
+  async getRecentBlocks() {
+    throw this.unsupported('getRecentBlocks');
+  }
+
+  async getBlocksBefore() {
+    throw this.unsupported('getBlocksBefore');
+  }
+
+  async getBlockAtHeight() {
+    throw this.unsupported('getBlockAtHeight');
+  }
+
+  async getCoinbaseValue() {
+    throw this.unsupported('getCoinbaseValue');
+  }
+
+  async getCoinbaseTransaction() {
+    throw this.unsupported('getCoinbaseTransaction');
+  }
+
+  async getMempool() {
+    throw this.unsupported('getMempool');
+  }
+
+  async getFeeHistogram() {
+    throw this.unsupported('getFeeHistogram');
+  }
+
+  async getPrice() {
+    throw this.unsupported('getPrice');
+  }
+
+  /**
+   * Whether this provider overrides the given operation
+   */
+  supports(operation) {
+    return typeof this[operation] === 'function' && this[operation] !== DataProvider.prototype[operation];
+  }
+
+  unsupported(operation) {
+    return new Error(`${this.name} does not support ${operation}`);
+  }
+
+  /**
+   * Scheduled issuance at a block height, for providers that don't report
+   * circulating supply directly
+   */
+  estimateSupplyAtHeight(height) {
+    return supplySchedule.getIssuedAtHeight(height);
+  }
+
+  /**
+   * Difficulty from a block header's compact target ("bits")
+   */
+  bitsToDifficulty(bits) {
+    const exponent = bits >>> 24;
+    const mantissa = bits & 0xffffff;
+    // Difficulty 1 target is 0x00ffff * 256^(0x1d - 3)
+    return (0xffff / mantissa) * Math.pow(256, 0x1d - exponent);
+  }
+
+  /**
+   * Estimate network hash rate (H/s) from difficulty and the 600s target spacing
+   */
+  estimateHashRate(difficulty) {
+    return (difficulty * Math.pow(2, 32)) / 600;
+  }
+}
+
+module.exports = DataProvider;
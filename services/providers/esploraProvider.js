@@ -0,0 +1,164 @@
+const DataProvider = require('./dataProvider');
+const { config } = require('../../config');
+
+// Safety limit when paging backwards through blocks
+const MAX_BLOCK_PAGES = 50;
+
+/**
+ * Esplora-compatible REST API provider (blockstream.info or a self-hosted instance)
+ */
+class EsploraProvider extends DataProvider {
+  constructor(options = {}) {
+    super(
+      options.name || 'esplora',
+      options.baseURL || config.providers.esploraUrl,
+      options
+    );
+  }
+
+  async getTipHeight() {
+    const response = await this.http.get('/blocks/tip/height');
+    return Number(response.data);
+  }
+
+  async getChainStats() {
+    const [blockHeight, tipHash] = await Promise.all([
+      this.getTipHeight(),
+      this.http.get('/blocks/tip/hash').then(response => response.data)
+    ]);
+    const block = await this.http.get(`/block/${tipHash}`);
+    const difficulty = block.data.difficulty;
+
+    return {
+      blockHeight,
+      circulatingSupply: this.estimateSupplyAtHeight(blockHeight),
+      difficulty,
+      hashRate: this.estimateHashRate(difficulty)
+    };
+  }
+
+  /**
+   * Walk backwards from the tip (or startHeight) one page at a time, calling
+   * visit() with each normalized block until it returns false
+   */
+  async walkBlocks(visit, maxPages = MAX_BLOCK_PAGES, startHeight) {
+    let path = this.blocksPagePath(startHeight);
+
+    for (let page = 0; page < maxPages; page++) {
+      const response = await this.http.get(path);
+      const pageBlocks = response.data;
+
+      for (const block of pageBlocks) {
+        if (visit(this.normalizeBlock(block)) === false) return;
+      }
+
+      const oldest = pageBlocks[pageBlocks.length - 1];
+      if (!oldest || oldest.height === 0) return;
+      path = this.blocksPagePath(oldest.height - 1);
+    }
+  }
+
+  async getBlocksSince(since) {
+    const blocks = [];
+
+    await this.walkBlocks(block => {
+      if (block.time * 1000 < since) return false;
+      blocks.push(block);
+      return true;
+    });
+
+    return blocks;
+  }
+
+  async getRecentBlocks(count) {
+    const blocks = [];
+
+    // Pages hold at least 10 blocks
+    await this.walkBlocks(block => {
+      blocks.push(block);
+      return blocks.length < count;
+    }, Math.ceil(count / 10) + 1);
+
+    return blocks;
+  }
+
+  async getBlocksBefore(height, count) {
+    const blocks = [];
+
+    await this.walkBlocks(block => {
+      blocks.push(block);
+      return blocks.length < count;
+    }, Math.ceil(count / 10) + 1, height - 1);
+
+    return blocks;
+  }
+
+  blocksPagePath(startHeight) {
+    return startHeight === undefined ? '/blocks' : `/blocks/${startHeight}`;
+  }
+
+  normalizeBlock(block) {
+    return {
+      height: block.height,
+      hash: block.id,
+      time: block.timestamp,
+      size: block.size,
+      tx_count: block.tx_count
+    };
+  }
+
+  async getBlockAtHeight(height) {
+    const hashResponse = await this.http.get(`/block-height/${height}`);
+    const response = await this.http.get(`/block/${hashResponse.data}`);
+    const block = response.data;
+
+    return {
+      height: block.height,
+      hash: block.id,
+      time: block.timestamp,
+      difficulty: block.difficulty || this.bitsToDifficulty(block.bits)
+    };
+  }
+
+  async getCoinbaseValue(hash) {
+    const coinbase = await this.getCoinbaseTransaction(hash);
+    return coinbase.value;
+  }
+
+  async getCoinbaseTransaction(hash) {
+    const txidResponse = await this.http.get(`/block/${hash}/txid/0`);
+    const response = await this.http.get(`/tx/${txidResponse.data}`);
+    const tx = response.data;
+
+    return {
+      scriptSig: tx.vin[0].scriptsig,
+      addresses: tx.vout.map(output => output.scriptpubkey_address).filter(Boolean),
+      value: tx.vout.reduce((total, output) => total + output.value, 0)
+    };
+  }
+
+  async getMempool() {
+    const response = await this.http.get('/mempool');
+
+    return {
+      count: response.data.count,
+      vsize: response.data.vsize,
+      totalFee: response.data.total_fee,
+      // Each entry's vsize pays at least its rate and less than the previous entry's
+      feeHistogram: Array.isArray(response.data.fee_histogram)
+        ? response.data.fee_histogram.map(([feeRate, vsize]) => ({ feeRate, vsize }))
+        : null
+    };
+  }
+
+  async getFeeHistogram() {
+    const { vsize, feeHistogram } = await this.getMempool();
+
+    if (!feeHistogram) {
+      throw new Error(`${this.name} returned no fee histogram`);
+    }
+    return { vsize, feeHistogram };
+  }
+}
+
+module.exports = EsploraProvider;
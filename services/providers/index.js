@@ -0,0 +1,38 @@
+const BlockchainInfoProvider = require('./blockchainInfoProvider');
+const MempoolSpaceProvider = require('./mempoolSpaceProvider');
+const EsploraProvider = require('./esploraProvider');
+const BitcoinCoreProvider = require('./bitcoinCoreProvider');
+const { config } = require('../../config');
+
+const PROVIDERS = {
+  'blockchain.info': BlockchainInfoProvider,
+  'mempool.space': MempoolSpaceProvider,
+  esplora: EsploraProvider,
+  'bitcoin-core': BitcoinCoreProvider
+};
+
+/**
+ * Build providers in priority order from a list of names, or a
+ * comma-separated string of them (defaults to providers.order, DATA_PROVIDERS)
+ */
+function createProviders(order = config.providers.order, options = {}) {
+  const names = (Array.isArray(order) ? order : order.split(',')).map(name => name.trim()).filter(Boolean);
+  const timeout = options.timeout || config.providers.timeoutMs;
+
+  if (names.length === 0) {
+    throw new Error('At least one data provider must be configured');
+  }
+
+  return names.map(name => {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unknown data provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new Provider({ ...options, timeout });
+  });
+}
+
+module.exports = {
+  PROVIDERS,
+  createProviders
+};
@@ -0,0 +1,62 @@
+const EsploraProvider = require('./esploraProvider');
+const { config } = require('../../config');
+
+/**
+ * mempool.space provider. Its API is Esplora-compatible, with extra
+ * endpoints for hash rate and richer block listings.
+ */
+class MempoolSpaceProvider extends EsploraProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      name: 'mempool.space',
+      baseURL: options.baseURL || config.providers.mempoolSpaceUrl
+    });
+  }
+
+  async getChainStats() {
+    const [blockHeight, hashrate] = await Promise.all([
+      this.getTipHeight(),
+      this.http.get('/v1/mining/hashrate/3d')
+    ]);
+
+    return {
+      blockHeight,
+      circulatingSupply: this.estimateSupplyAtHeight(blockHeight),
+      difficulty: hashrate.data.currentDifficulty,
+      hashRate: hashrate.data.currentHashrate
+    };
+  }
+
+  async getPrice(currency) {
+    const response = await this.http.get('/v1/prices');
+    const price = response.data[currency.toUpperCase()];
+
+    if (typeof price !== 'number' || price <= 0) {
+      throw new Error(`${this.name} has no ${currency.toUpperCase()} price`);
+    }
+    return price;
+  }
+
+  blocksPagePath(startHeight) {
+    return startHeight === undefined ? '/v1/blocks' : `/v1/blocks/${startHeight}`;
+  }
+
+  normalizeBlock(block) {
+    const extras = block.extras;
+
+    return {
+      ...super.normalizeBlock(block),
+      // /v1/blocks includes the coinbase output total and script in extras
+      coinbaseValue: extras ? extras.reward : undefined,
+      coinbase: extras && extras.coinbaseRaw !== undefined
+        ? {
+          scriptSig: extras.coinbaseRaw,
+          addresses: extras.coinbaseAddresses || (extras.coinbaseAddress ? [extras.coinbaseAddress] : [])
+        }
+        : undefined
+    };
+  }
+}
+
+module.exports = MempoolSpaceProvider;
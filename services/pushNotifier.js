@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const webpush = require('web-push');
+const supplySchedule = require('../public/supplySchedule');
+const { logger } = require('./logger');
+const { config } = require('../config');
+
+const TOPICS = ['block', 'halving', 'price'];
+// Blocks-remaining milestones announced on the way to each halving
+const HALVING_MILESTONES = [10000, 1000, 144, 10, 1];
+
+/**
+ * Whether a subscription endpoint is on one of the push services in
+ * PUSH_ENDPOINT_HOSTS. The server POSTs every notification to it, so
+ * subscriptions can't point it at any other host.
+ */
+function isEndpointAllowed(endpoint, hosts = config.push.endpointHosts) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return false;
+  }
+
+  if (url.protocol !== 'https:' || url.port !== '') return false;
+  return hosts.some(host => (host.startsWith('*.') ? url.hostname.endsWith(host.slice(1)) : url.hostname === host));
+}
+
+/**
+ * Sends Web Push notifications for new blocks, halving milestones and price
+ * thresholds to subscribed browsers.
+ *
+ * VAPID keys come from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY, or are generated
+ * once and kept in VAPID_KEYS_FILE (default data/vapid.json) so existing
+ * subscriptions stay valid across restarts.
+ *
+ * Changes come from the ChainWatcher, which is only subscribed to while there
+ * is at least one push subscription.
+ */
+class PushNotifier {
+  constructor(subscriptionStore, chainWatcher, options = {}) {
+    this.store = subscriptionStore;
+    this.chainWatcher = chainWatcher;
+    this.keysFile = options.keysFile || config.push.vapidKeysFile;
+    this.subject = options.subject || config.push.vapidSubject;
+    this.priceStep = options.priceStep || config.push.priceStepUsd;
+    this.vapidKeys = null;
+    this.unsubscribeWatcher = null;
+    this.lastHeight = null;
+    this.lastPrice = null;
+  }
+
+  /**
+   * Load or create the VAPID key pair
+   */
+  loadVapidKeys() {
+    if (this.vapidKeys) return this.vapidKeys;
+
+    if (config.push.vapidPublicKey) {
+      this.vapidKeys = {
+        publicKey: config.push.vapidPublicKey,
+        privateKey: config.push.vapidPrivateKey
+      };
+    } else if (fs.existsSync(this.keysFile)) {
+      this.vapidKeys = JSON.parse(fs.readFileSync(this.keysFile, 'utf8'));
+    } else {
+      this.vapidKeys = webpush.generateVAPIDKeys();
+      fs.mkdirSync(path.dirname(this.keysFile), { recursive: true });
+      fs.writeFileSync(this.keysFile, JSON.stringify(this.vapidKeys, null, 2), { mode: 0o600 });
+      logger.info('Generated VAPID keys', { file: this.keysFile });
+    }
+
+    webpush.setVapidDetails(this.subject, this.vapidKeys.publicKey, this.vapidKeys.privateKey);
+    return this.vapidKeys;
+  }
+
+  getPublicKey() {
+    return this.loadVapidKeys().publicKey;
+  }
+
+  start() {
+    this.loadVapidKeys();
+    this.sync();
+    return this;
+  }
+
+  /**
+   * Watch for changes only while someone is subscribed
+   */
+  sync() {
+    if (this.store.size > 0 && !this.unsubscribeWatcher) {
+      this.unsubscribeWatcher = this.chainWatcher.subscribe((event, data) => this.handleEvent(event, data));
+    } else if (this.store.size === 0 && this.unsubscribeWatcher) {
+      this.unsubscribeWatcher();
+      this.unsubscribeWatcher = null;
+    }
+  }
+
+  handleEvent(event, data) {
+    if (event === 'block') {
+      this.handleBlock(data.height);
+    } else if (event === 'price') {
+      this.handlePrice(data.current);
+    }
+  }
+
+  /**
+   * The first height seen is only a baseline, since the watcher replays the
+   * latest block to new subscribers
+   */
+  handleBlock(height) {
+    const previous = this.lastHeight;
+    if (previous !== null && height <= previous) return;
+    this.lastHeight = height;
+    if (previous === null) return;
+
+    this.notify('block', {
+      title: `New block #${height.toLocaleString('en-US')}`,
+      body: `Subsidy ${supplySchedule.getBlockSubsidy(height)} BTC`,
+      tag: 'block'
+    });
+
+    if (supplySchedule.getEra(height) > supplySchedule.getEra(previous)) {
+      this.notify('halving', {
+        title: 'The halving is here',
+        body: `Block ${height.toLocaleString('en-US')} cut the subsidy to ${supplySchedule.getBlockSubsidy(height)} BTC`,
+        tag: 'halving'
+      });
+      return;
+    }
+
+    const nextHalving = supplySchedule.getNextHalvingHeight(height);
+    const before = nextHalving - previous;
+    const after = nextHalving - height;
+    const milestone = HALVING_MILESTONES.find(blocks => before > blocks && after <= blocks);
+
+    if (milestone !== undefined) {
+      this.notify('halving', {
+        title: `${after.toLocaleString('en-US')} ${after === 1 ? 'block' : 'blocks'} until the halving`,
+        body: `The subsidy drops to ${supplySchedule.getBlockSubsidy(nextHalving)} BTC at block ${nextHalving.toLocaleString('en-US')}`,
+        tag: 'halving'
+      });
+    }
+  }
+
+  /**
+   * Notify subscribers whose thresholds the price crossed. Subscriptions
+   * without their own thresholds get every multiple of PUSH_PRICE_STEP_USD.
+   */
+  handlePrice(price) {
+    const previous = this.lastPrice;
+    this.lastPrice = price;
+    if (previous === null || price === previous) return;
+
+    const low = Math.min(previous, price);
+    const high = Math.max(previous, price);
+    const direction = price > previous ? 'above' : 'below';
+
+    for (const subscription of this.store.list()) {
+      if (!subscription.topics.includes('price')) continue;
+
+      const crossed = subscription.priceThresholds && subscription.priceThresholds.length > 0
+        ? subscription.priceThresholds.filter(threshold => threshold > low && threshold <= high)
+        : this.getStepsBetween(low, high);
+      if (crossed.length === 0) continue;
+
+      // Report the threshold nearest the new price
+      const threshold = direction === 'above' ? Math.max(...crossed) : Math.min(...crossed);
+      this.send(subscription, {
+        title: `Bitcoin is ${direction} $${threshold.toLocaleString('en-US')}`,
+        body: `Now $${price.toLocaleString('en-US')}`,
+        tag: 'price'
+      });
+    }
+  }
+
+  getStepsBetween(low, high) {
+    const steps = [];
+    for (let step = Math.floor(low / this.priceStep + 1) * this.priceStep; step <= high; step += this.priceStep) {
+      steps.push(step);
+    }
+    return steps;
+  }
+
+  notify(topic, payload) {
+    return Promise.all(this.store.list()
+      .filter(subscription => subscription.topics.includes(topic))
+      .map(subscription => this.send(subscription, payload)));
+  }
+
+  /**
+   * Send one notification. Subscriptions the push service reports as gone
+   * (404/410) are removed.
+   */
+  async send(subscription, payload) {
+    // Stored before PUSH_ENDPOINT_HOSTS was checked, or since removed from it
+    if (!isEndpointAllowed(subscription.endpoint)) {
+      logger.warn('Skipping push subscription on a host not in PUSH_ENDPOINT_HOSTS');
+      return;
+    }
+
+    try {
+      await webpush.sendNotification(
+        { endpoint: subscription.endpoint, keys: subscription.keys },
+        JSON.stringify({ url: '/', ...payload }),
+        { TTL: 60 * 60 }
+      );
+    } catch (error) {
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        logger.info('Removing expired push subscription');
+        await this.store.remove(subscription.endpoint);
+        this.sync();
+      } else {
+        logger.error('Error sending push notification', { error: error.message });
+      }
+    }
+  }
+}
+
+PushNotifier.TOPICS = TOPICS;
+PushNotifier.isEndpointAllowed = isEndpointAllowed;
+
+module.exports = PushNotifier;
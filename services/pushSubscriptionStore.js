@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+
+/**
+ * Persisted Web Push subscriptions, keyed by endpoint.
+ *
+ * Stored as one JSON file (PUSH_SUBSCRIPTIONS_FILE, default
+ * data/push-subscriptions.json), rewritten through a temporary file on every
+ * change like the alert rules.
+ */
+class PushSubscriptionStore {
+  constructor(filePath = config.push.subscriptionsFile) {
+    this.filePath = filePath;
+    this.subscriptions = new Map();
+    this.loaded = false;
+    this.saving = Promise.resolve();
+  }
+
+  load() {
+    if (this.loaded) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const subscription of data.subscriptions || []) {
+        this.subscriptions.set(subscription.endpoint, subscription);
+      }
+    }
+
+    this.loaded = true;
+  }
+
+  async save() {
+    const write = async () => {
+      const tempFile = `${this.filePath}.tmp`;
+      const data = { subscriptions: [...this.subscriptions.values()] };
+
+      await fs.promises.writeFile(tempFile, JSON.stringify(data, null, 2));
+      await fs.promises.rename(tempFile, this.filePath);
+    };
+
+    this.saving = this.saving.then(write, write);
+    return this.saving;
+  }
+
+  /**
+   * Resolves once queued writes have finished. A failed write has already
+   * been reported to whoever made it.
+   */
+  flush() {
+    return this.saving.then(() => {}, () => {});
+  }
+
+  list() {
+    this.load();
+    return [...this.subscriptions.values()];
+  }
+
+  get(endpoint) {
+    this.load();
+    return this.subscriptions.get(endpoint) || null;
+  }
+
+  /**
+   * Whether keys are those stored for endpoint. Only the browser that made a
+   * subscription knows its keys, so this shows the caller owns it.
+   */
+  hasKeys(endpoint, keys) {
+    const subscription = this.get(endpoint);
+    return Boolean(subscription && keys &&
+      subscription.keys.p256dh === keys.p256dh && subscription.keys.auth === keys.auth);
+  }
+
+  get size() {
+    this.load();
+    return this.subscriptions.size;
+  }
+
+  /**
+   * Add or replace a subscription. oldEndpoint is removed, for browsers that
+   * rotate their subscription; check the caller owns it with hasKeys first.
+   */
+  async upsert(subscription, oldEndpoint) {
+    this.load();
+
+    const existing = this.subscriptions.get(subscription.endpoint);
+    const record = {
+      ...subscription,
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    if (oldEndpoint && oldEndpoint !== subscription.endpoint) {
+      this.subscriptions.delete(oldEndpoint);
+    }
+
+    this.subscriptions.set(record.endpoint, record);
+    await this.save();
+    return record;
+  }
+
+  async remove(endpoint) {
+    this.load();
+
+    if (!this.subscriptions.delete(endpoint)) return false;
+    await this.save();
+    return true;
+  }
+}
+
+module.exports = PushSubscriptionStore;
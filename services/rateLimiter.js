@@ -0,0 +1,125 @@
+const { config } = require('../config');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Token-bucket rate limiting with optional daily quotas, per API key or per
+ * client IP.
+ *
+ * Each client's bucket holds up to `limit` tokens and refills at `limit` per
+ * minute, so short bursts are allowed while the sustained rate is capped.
+ * Quotas count requests per UTC day. A quota of 0 means no quota.
+ *
+ * Tiers:
+ *   anonymous: RATE_LIMIT_ANONYMOUS_PER_MINUTE (60), RATE_LIMIT_ANONYMOUS_DAILY_QUOTA (0)
+ *   keyed:     RATE_LIMIT_KEYED_PER_MINUTE (600), RATE_LIMIT_KEYED_DAILY_QUOTA (100000)
+ *
+ * State is kept in memory, so each server process counts separately.
+ */
+class RateLimiter {
+  constructor(options = {}) {
+    this.tiers = options.tiers || {
+      anonymous: {
+        limit: config.rateLimit.anonymousPerMinute,
+        dailyQuota: config.rateLimit.anonymousDailyQuota
+      },
+      keyed: {
+        limit: config.rateLimit.keyedPerMinute,
+        dailyQuota: config.rateLimit.keyedDailyQuota
+      }
+    };
+    this.clients = new Map(); // client id -> { tokens, updatedAt, day, used, hasQuota }
+
+    // Forget clients that are back to a full bucket and have no quota usage to remember
+    this.sweeper = setInterval(() => this.sweep(), MINUTE);
+    this.sweeper.unref();
+  }
+
+  /**
+   * Limits for a tier, with any per-key overrides applied. A key file edited
+   * by hand can hold a rate limit below 1, which is treated as 1.
+   */
+  getPolicy(tierName, overrides = {}) {
+    const tier = this.tiers[tierName] || this.tiers.keyed;
+    return {
+      tier: this.tiers[tierName] ? tierName : 'keyed',
+      limit: Math.max(overrides.rateLimit ?? tier.limit, 1),
+      dailyQuota: overrides.dailyQuota ?? tier.dailyQuota
+    };
+  }
+
+  /**
+   * Take one token for clientId. Returns the outcome and what the
+   * RateLimit-* headers should say:
+   *   { allowed, reason, limit, remaining, reset, retryAfter, dailyQuota, used, quotaReset }
+   * reason is 'rate' or 'quota' when not allowed. Times are in seconds.
+   */
+  consume(clientId, policy, now = Date.now()) {
+    const day = Math.floor(now / DAY);
+    // A zero rate would never refill, making retryAfter Infinity and reset NaN
+    const limit = Math.max(policy.limit, 1);
+    const rate = limit / MINUTE; // tokens per ms
+
+    let client = this.clients.get(clientId);
+    if (!client) {
+      client = { tokens: limit, updatedAt: now, day, used: 0 };
+      this.clients.set(clientId, client);
+    }
+    client.hasQuota = policy.dailyQuota > 0;
+
+    client.tokens = Math.min(limit, client.tokens + (now - client.updatedAt) * rate);
+    client.updatedAt = now;
+
+    if (client.day !== day) {
+      client.day = day;
+      client.used = 0;
+    }
+
+    const untilTomorrow = Math.ceil(((day + 1) * DAY - now) / 1000);
+    const result = {
+      allowed: true,
+      reason: null,
+      limit,
+      dailyQuota: policy.dailyQuota,
+      retryAfter: null
+    };
+
+    if (policy.dailyQuota > 0 && client.used >= policy.dailyQuota) {
+      result.allowed = false;
+      result.reason = 'quota';
+      result.retryAfter = untilTomorrow;
+    } else if (client.tokens < 1) {
+      result.allowed = false;
+      result.reason = 'rate';
+      result.retryAfter = Math.ceil((1 - client.tokens) / rate / 1000);
+    } else {
+      client.tokens -= 1;
+      client.used += 1;
+    }
+
+    result.remaining = Math.floor(client.tokens);
+    result.reset = Math.ceil((limit - client.tokens) / rate / 1000);
+    result.used = client.used;
+    result.quotaReset = untilTomorrow;
+    return result;
+  }
+
+  sweep(now = Date.now()) {
+    const day = Math.floor(now / DAY);
+
+    for (const [clientId, client] of this.clients) {
+      const idleFor = now - client.updatedAt;
+      // A bucket refills completely within a minute
+      if (idleFor >= MINUTE && (!client.hasQuota || client.day !== day)) {
+        this.clients.delete(clientId);
+      }
+    }
+  }
+
+  stop() {
+    clearInterval(this.sweeper);
+  }
+}
+
+module.exports = RateLimiter;
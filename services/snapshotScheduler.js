@@ -0,0 +1,104 @@
+const cron = require('node-cron');
+const PriceService = require('./priceService');
+const { logger } = require('./logger');
+const { config } = require('../config');
+
+/**
+ * Periodically snapshots network, price and mempool data into the history store
+ */
+class SnapshotScheduler {
+  constructor(bitcoinService, historyStore, schedule = config.history.snapshotCron) {
+    this.bitcoinService = bitcoinService;
+    this.historyStore = historyStore;
+    this.schedule = schedule;
+    this.task = null;
+    this.running = null; // Promise of the snapshot being taken
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the cron job and take an initial snapshot
+   */
+  start() {
+    if (!cron.validate(this.schedule)) {
+      throw new Error(`Invalid SNAPSHOT_CRON expression: ${this.schedule}`);
+    }
+
+    this.task = cron.schedule(this.schedule, () => this.takeSnapshot());
+    this.takeSnapshot();
+    return this;
+  }
+
+  /**
+   * Stop the cron job. Resolves once a snapshot in progress has been saved.
+   */
+  async stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+    await this.running;
+  }
+
+  /**
+   * Collect one snapshot, unless one is already being taken
+   */
+  takeSnapshot() {
+    if (this.running) return Promise.resolve(null);
+
+    this.running = this.collectSnapshot().finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  /**
+   * Sources that fail are left out of the record rather than failing the
+   * whole snapshot
+   */
+  async collectSnapshot() {
+    try {
+      const [stats, mempool, ...prices] = await Promise.allSettled([
+        this.bitcoinService.getCurrentStats(),
+        this.bitcoinService.getMempoolData(),
+        // Every currency on its own, so price history needs no exchange rates
+        ...PriceService.CURRENCIES.map(currency => this.bitcoinService.getPriceData(currency))
+      ]);
+
+      const snapshot = { timestamp: new Date().toISOString() };
+
+      if (stats.status === 'fulfilled') {
+        snapshot.blockHeight = stats.value.currentBlockHeight;
+        snapshot.circulatingSupply = stats.value.totalBitcoinsInCirculation;
+        snapshot.difficulty = stats.value.difficulty;
+        snapshot.hashRate = stats.value.hashRate;
+      }
+
+      PriceService.CURRENCIES.forEach((currency, i) => {
+        if (prices[i].status === 'fulfilled') {
+          snapshot[PriceService.priceMetric(currency)] = prices[i].value.current;
+        }
+      });
+
+      if (mempool.status === 'fulfilled') {
+        snapshot.mempoolTxCount = mempool.value.count;
+        snapshot.mempoolVsize = mempool.value.vsize;
+      }
+
+      if (Object.keys(snapshot).length === 1) {
+        logger.error('Snapshot skipped: all data sources failed');
+        return null;
+      }
+
+      const record = await this.historyStore.append(snapshot);
+      this.lastRun = record.timestamp;
+      logger.info('History snapshot saved', { timestamp: record.timestamp });
+      return record;
+    } catch (error) {
+      logger.error('Error taking history snapshot', { error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = SnapshotScheduler;
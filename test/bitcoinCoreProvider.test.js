@@ -0,0 +1,167 @@
+require('./helpers/quietLogs');
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BitcoinCoreProvider = require('../services/providers/bitcoinCoreProvider');
+const supplySchedule = require('../public/supplySchedule');
+const { startMockRpcServer } = require('./helpers/mockRpcServer');
+
+const TIP = 900000;
+const TIP_TIME = 1750000000;
+
+// One block every 600 seconds back from the tip
+function blockStats(height) {
+  return {
+    height,
+    blockhash: `hash-${height}`,
+    time: TIP_TIME - (TIP - height) * 600,
+    total_size: 1500000,
+    txs: 3000
+  };
+}
+
+const basicAuth = (username, password) => `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+describe('BitcoinCoreProvider', () => {
+  let rpc;
+  let utxoDelayMs = 0;
+
+  before(async () => {
+    rpc = await startMockRpcServer({
+      getblockcount: () => TIP,
+      getblockchaininfo: () => ({ blocks: TIP, difficulty: 1.2e14 }),
+      getmininginfo: () => ({ networkhashps: 8.5e20 }),
+      gettxoutsetinfo: async () => {
+        await new Promise(resolve => setTimeout(resolve, utxoDelayMs));
+        return { height: TIP, total_amount: 19875000.5 };
+      },
+      getblockstats: height => {
+        if (height > TIP) throw Object.assign(new Error('Target block height after current tip'), { code: -8 });
+        return blockStats(height);
+      },
+      getblock: hash => ({ hash, tx: [`coinbase-of-${hash}`] }),
+      // A pool that claims less than subsidy plus fees
+      getrawtransaction: () => ({
+        vin: [{ coinbase: '03a0bb0d' }],
+        vout: [
+          { value: 3.1, scriptPubKey: { address: 'bc1qpool' } },
+          { value: 0, scriptPubKey: {} }
+        ]
+      }),
+      getmempoolinfo: () => ({ size: 4000, bytes: 2000000, total_fee: 0.25 })
+    });
+  });
+
+  after(() => rpc.close());
+
+  const createProvider = (options = {}) => new BitcoinCoreProvider({
+    baseURL: rpc.url,
+    username: 'tracker',
+    password: 'secret',
+    ...options
+  });
+
+  test('getChainStats batches chain and mining info and reads supply from the UTXO set', async () => {
+    utxoDelayMs = 0;
+    const stats = await createProvider().getChainStats();
+
+    assert.deepEqual(stats, {
+      blockHeight: TIP,
+      circulatingSupply: 19875000.5,
+      difficulty: 1.2e14,
+      hashRate: 8.5e20
+    });
+    const batch = rpc.requests.find(request => request.calls.length === 2);
+    assert.deepEqual(batch.calls.map(call => call.method), ['getblockchaininfo', 'getmininginfo']);
+  });
+
+  test('gettxoutsetinfo timing out falls back to the scheduled supply', async () => {
+    utxoDelayMs = 300;
+    const stats = await createProvider({ utxoTimeout: 50 }).getChainStats();
+    utxoDelayMs = 0;
+
+    assert.equal(stats.circulatingSupply, supplySchedule.getIssuedAtHeight(TIP));
+  });
+
+  test('the UTXO scan is cached for the block it was taken at', async () => {
+    const provider = createProvider();
+    await provider.getChainStats();
+    const scans = () => rpc.requests.filter(request => request.calls.some(call => call.method === 'gettxoutsetinfo')).length;
+    const before = scans();
+
+    await provider.getChainStats();
+    assert.equal(scans(), before);
+  });
+
+  test('getBlocksSince walks back in batches and stops at since', async () => {
+    const since = (TIP_TIME - 24 * 600) * 1000;
+    const blocks = await createProvider().getBlocksSince(since);
+
+    assert.equal(blocks.length, 25);
+    assert.deepEqual(blocks[0], {
+      height: TIP,
+      hash: `hash-${TIP}`,
+      time: TIP_TIME,
+      size: 1500000,
+      tx_count: 3000
+    });
+    assert.equal(blocks[24].height, TIP - 24);
+    assert.ok(blocks.every(block => block.time * 1000 >= since));
+  });
+
+  test('getBlocksBefore starts below the given height', async () => {
+    const blocks = await createProvider().getBlocksBefore(TIP - 100, 15);
+
+    assert.deepEqual(blocks.map(block => block.height), Array.from({ length: 15 }, (_, i) => TIP - 101 - i));
+  });
+
+  test('block listings leave the coinbase value to getCoinbaseValue', async () => {
+    const [block] = await createProvider().getRecentBlocks(1);
+    assert.equal(block.coinbaseValue, undefined);
+  });
+
+  test('getCoinbaseValue is what the coinbase pays out, not what it could claim', async () => {
+    const value = await createProvider().getCoinbaseValue(`hash-${TIP}`);
+    assert.equal(value, 310000000);
+  });
+
+  test('getMempool converts total_fee to satoshis and has no histogram', async () => {
+    assert.deepEqual(await createProvider().getMempool(), {
+      count: 4000,
+      vsize: 2000000,
+      totalFee: 25000000,
+      feeHistogram: null
+    });
+  });
+
+  test('RPC errors are reported with their message and code', async () => {
+    await assert.rejects(
+      createProvider().call('getblockstats', TIP + 1),
+      /RPC getblockstats failed: Target block height after current tip \(code -8\)/
+    );
+  });
+
+  test('authenticates with user and password', async () => {
+    await createProvider().getTipHeight();
+    assert.equal(rpc.requests[rpc.requests.length - 1].authorization, basicAuth('tracker', 'secret'));
+  });
+
+  test('prefers the cookie file and re-reads it on every request', async () => {
+    const cookieFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'rpc-cookie-')), '.cookie');
+    const provider = createProvider({ cookieFile });
+
+    fs.writeFileSync(cookieFile, '__cookie__:first\n');
+    await provider.getTipHeight();
+    assert.equal(rpc.requests[rpc.requests.length - 1].authorization, basicAuth('__cookie__', 'first'));
+
+    // bitcoind writes a new cookie when it restarts
+    fs.writeFileSync(cookieFile, '__cookie__:second');
+    await provider.getTipHeight();
+    assert.equal(rpc.requests[rpc.requests.length - 1].authorization, basicAuth('__cookie__', 'second'));
+
+    fs.rmSync(path.dirname(cookieFile), { recursive: true });
+  });
+});
@@ -0,0 +1,117 @@
+require('./helpers/quietLogs');
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const BlockTimeEstimator = require('../services/blockTimeEstimator');
+
+const NOW = Date.UTC(2026, 0, 1);
+
+// Blocks from tipHeight down, newest first, spaced by the given intervals (oldest last)
+function chain(tipHeight, intervals) {
+  const blocks = [{ height: tipHeight, time: 1750000000 }];
+  intervals.forEach((interval, i) => {
+    blocks.push({ height: tipHeight - i - 1, time: blocks[i].time - interval });
+  });
+  return blocks;
+}
+
+async function estimatorWith(blocks, windowSize = 144) {
+  const estimator = new BlockTimeEstimator(async () => blocks, windowSize);
+  await estimator.refresh(blocks.length > 0 ? blocks[0].height : 0);
+  return estimator;
+}
+
+describe('BlockTimeEstimator', () => {
+  test('an empty window falls back to the 10-minute target', async () => {
+    const stats = (await estimatorWith([])).getStats();
+
+    assert.equal(stats.sampleSize, 0);
+    assert.equal(stats.meanBlockInterval, 600);
+    assert.equal(stats.stdDevBlockInterval, 600);
+    assert.equal(stats.blocksPerDay, 144);
+    assert.equal(stats.isEstimated, true);
+  });
+
+  test('a single block has no intervals and falls back too', async () => {
+    const stats = (await estimatorWith(chain(900000, []))).getStats();
+
+    assert.equal(stats.sampleSize, 0);
+    assert.equal(stats.isEstimated, true);
+  });
+
+  test('fewer than 10 intervals still count as estimated', async () => {
+    const stats = (await estimatorWith(chain(900000, Array(9).fill(500)))).getStats();
+
+    assert.equal(stats.sampleSize, 9);
+    assert.equal(stats.meanBlockInterval, 600);
+    assert.equal(stats.isEstimated, true);
+  });
+
+  test('mean and sample standard deviation of the observed intervals', async () => {
+    const stats = (await estimatorWith(chain(900000, [400, 800, 400, 800, 400, 800, 400, 800, 400, 800]))).getStats();
+
+    assert.equal(stats.sampleSize, 10);
+    assert.equal(stats.meanBlockInterval, 600);
+    // Ten deviations of 200 over n - 1 = 9
+    assert.equal(stats.stdDevBlockInterval, Math.sqrt(10 * 200 * 200 / 9));
+    assert.equal(stats.fromHeight, 899990);
+    assert.equal(stats.toHeight, 900000);
+    assert.equal(stats.isEstimated, false);
+  });
+
+  test('intervals across a gap in the window are skipped', async () => {
+    const blocks = chain(900000, Array(12).fill(600)).filter(block => block.height !== 899995);
+    const stats = (await estimatorWith(blocks)).getStats();
+
+    assert.equal(stats.sampleSize, 10);
+  });
+
+  test('estimate gives a 95% range combining block randomness and uncertainty in the mean', () => {
+    const estimator = new BlockTimeEstimator(async () => [], 144);
+    const stats = { sampleSize: 100, meanBlockInterval: 600, stdDevBlockInterval: 600, isEstimated: false };
+    const eta = estimator.estimate(900000, 900144, stats, NOW);
+
+    const expectedSeconds = 144 * 600;
+    const margin = 1.96 * Math.sqrt(144 * 600 * 600 + Math.pow(144 * 600, 2) / 100);
+
+    assert.equal(eta.blocksRemaining, 144);
+    assert.equal(eta.daysRemaining, 1);
+    assert.equal(eta.estimatedDate, new Date(NOW + expectedSeconds * 1000).toISOString());
+    assert.equal(eta.earliestDate, new Date(NOW + (expectedSeconds - margin) * 1000).toISOString());
+    assert.equal(eta.latestDate, new Date(NOW + (expectedSeconds + margin) * 1000).toISOString());
+    assert.equal(eta.confidenceLevel, 0.95);
+  });
+
+  test('the earliest date is never before now', () => {
+    const estimator = new BlockTimeEstimator(async () => [], 144);
+    const stats = { sampleSize: 0, meanBlockInterval: 600, stdDevBlockInterval: 600, isEstimated: true };
+    const eta = estimator.estimate(900000, 900001, stats, NOW);
+
+    assert.equal(eta.earliestDate, new Date(NOW).toISOString());
+  });
+
+  test('a height already reached is due now', () => {
+    const estimator = new BlockTimeEstimator(async () => [], 144);
+    const eta = estimator.estimate(900000, 899000, estimator.getStats(), NOW);
+
+    assert.equal(eta.blocksRemaining, 0);
+    assert.equal(eta.estimatedDate, new Date(NOW).toISOString());
+    assert.equal(eta.latestDate, new Date(NOW).toISOString());
+  });
+
+  test('refresh fills the window once, then only fetches new blocks', async () => {
+    const counts = [];
+    const estimator = new BlockTimeEstimator(async count => {
+      counts.push(count);
+      return chain(900000 + counts.length - 1, Array(count - 1).fill(600));
+    }, 10);
+
+    await estimator.refresh(900000);
+    await estimator.refresh(900000);
+    await estimator.refresh(900001);
+
+    assert.deepEqual(counts, [11, 1]);
+    assert.equal(estimator.getStats().toHeight, 900001);
+    assert.equal(estimator.getBlockTime(899990), undefined);
+  });
+});
@@ -0,0 +1,144 @@
+require('./helpers/quietLogs');
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const DifficultyTracker = require('../services/difficultyTracker');
+const BlockTimeEstimator = require('../services/blockTimeEstimator');
+
+const { RETARGET_INTERVAL } = DifficultyTracker;
+const GENESIS_TIME = 1231006505;
+
+// Every epoch took exactly two weeks and raised difficulty by 10%
+function boundaryBlock(height) {
+  const epoch = height / RETARGET_INTERVAL;
+  return {
+    height,
+    hash: `hash-${height}`,
+    time: GENESIS_TIME + height * 600,
+    difficulty: 1e12 * Math.pow(1.1, epoch)
+  };
+}
+
+function trackerWith(historyEpochs = 3) {
+  const fetched = [];
+  const tracker = new DifficultyTracker(async height => {
+    fetched.push(height);
+    return boundaryBlock(height);
+  }, historyEpochs);
+  return { tracker, fetched };
+}
+
+describe('DifficultyTracker', () => {
+  test('epochs start every 2016 blocks', () => {
+    const { tracker } = trackerWith();
+
+    assert.equal(tracker.getEpochStartHeight(0), 0);
+    assert.equal(tracker.getEpochStartHeight(2015), 0);
+    assert.equal(tracker.getEpochStartHeight(2016), 2016);
+    assert.equal(tracker.getEpochStartHeight(900000), 899136);
+  });
+
+  test('projected change measures 2015 intervals against the two-week target', () => {
+    const { tracker } = trackerWith();
+
+    const onTarget = tracker.projectAdjustment(1e14, 600 * 2016 / 2015);
+    assert.ok(Math.abs(onTarget.projectedChangePercent) < 1e-9);
+
+    const faster = tracker.projectAdjustment(1e14, 540 * 2016 / 2015);
+    assert.ok(Math.abs(faster.projectedChangePercent - (600 / 540 - 1) * 100) < 1e-9);
+  });
+
+  test('projected change is clamped to a factor of 4 either way', () => {
+    const { tracker } = trackerWith();
+
+    assert.deepEqual(tracker.projectAdjustment(100, 1), { projectedDifficulty: 400, projectedChangePercent: 300 });
+    assert.deepEqual(tracker.projectAdjustment(100, 1e6), { projectedDifficulty: 25, projectedChangePercent: -75 });
+  });
+
+  test('history compares each retarget with the epoch before it, newest first', async () => {
+    const { tracker } = trackerWith(3);
+    const history = await tracker.getHistory(10 * RETARGET_INTERVAL);
+
+    assert.deepEqual(history.map(entry => entry.epoch), [10, 9, 8]);
+    assert.equal(history[0].height, 10 * RETARGET_INTERVAL);
+    assert.ok(Math.abs(history[0].changePercent - 10) < 1e-9);
+    assert.equal(history[0].averageBlockTime, 600);
+    assert.equal(history[0].date, new Date(boundaryBlock(10 * RETARGET_INTERVAL).time * 1000).toISOString());
+  });
+
+  test('history stops at the genesis epoch', async () => {
+    const { tracker } = trackerWith(12);
+    const history = await tracker.getHistory(2 * RETARGET_INTERVAL);
+
+    assert.deepEqual(history.map(entry => entry.epoch), [2, 1]);
+  });
+
+  test('boundary blocks are fetched once, even by overlapping requests', async () => {
+    const { tracker, fetched } = trackerWith(3);
+
+    await Promise.all([tracker.getHistory(10 * RETARGET_INTERVAL), tracker.getHistory(10 * RETARGET_INTERVAL)]);
+    await tracker.getHistory(11 * RETARGET_INTERVAL);
+
+    assert.equal(fetched.length, 5);
+    assert.equal(new Set(fetched).size, 5);
+  });
+
+  test('a failed boundary lookup is retried', async () => {
+    let attempts = 0;
+    const tracker = new DifficultyTracker(async height => {
+      attempts++;
+      if (attempts === 1) throw new Error('upstream down');
+      return boundaryBlock(height);
+    }, 0);
+
+    await assert.rejects(tracker.getBoundaryBlock(RETARGET_INTERVAL), /upstream down/);
+    assert.equal((await tracker.getBoundaryBlock(RETARGET_INTERVAL)).height, RETARGET_INTERVAL);
+    assert.equal(attempts, 2);
+  });
+
+  test('epoch status takes the tip time from the block time window', async () => {
+    const { tracker, fetched } = trackerWith(1);
+    const epochStart = 446 * RETARGET_INTERVAL;
+    const tipHeight = epochStart + 1008;
+    // Half the epoch mined at 9 minutes a block
+    const estimator = new BlockTimeEstimator(async () => [
+      { height: tipHeight, time: boundaryBlock(epochStart).time + 1008 * 540 }
+    ], 10);
+    await estimator.refresh(tipHeight);
+
+    const status = await tracker.getEpochStatus(tipHeight, estimator, estimator.getStats());
+
+    assert.equal(status.epoch, 446);
+    assert.equal(status.blocksIntoEpoch, 1008);
+    assert.equal(status.blocksUntilRetarget, 1008);
+    assert.equal(status.progressPercent, 50);
+    assert.equal(status.epochAverageBlockTime, 540);
+    assert.equal(status.currentDifficulty, boundaryBlock(epochStart).difficulty);
+    assert.equal(status.nextRetargetHeight, epochStart + RETARGET_INTERVAL);
+    assert.equal(status.previousRetarget.epoch, 446);
+    assert.ok(!fetched.includes(tipHeight));
+  });
+
+  test('epoch status fetches the tip when the window lacks it', async () => {
+    const { tracker, fetched } = trackerWith(0);
+    const estimator = new BlockTimeEstimator(async () => [], 10);
+    const tipHeight = 446 * RETARGET_INTERVAL + 10;
+
+    const status = await tracker.getEpochStatus(tipHeight, estimator, estimator.getStats());
+
+    assert.ok(fetched.includes(tipHeight));
+    assert.equal(status.epochAverageBlockTime, 600);
+    assert.equal(status.previousRetarget, null);
+  });
+
+  test('at the first block of an epoch the projection uses the observed block time', async () => {
+    const { tracker } = trackerWith(0);
+    const estimator = new BlockTimeEstimator(async () => [], 10);
+    const stats = { ...estimator.getStats(), meanBlockInterval: 600 * 2016 / 2015 };
+
+    const status = await tracker.getEpochStatus(446 * RETARGET_INTERVAL, estimator, stats);
+
+    assert.equal(status.blocksIntoEpoch, 0);
+    assert.ok(Math.abs(status.projectedChangePercent) < 1e-9);
+  });
+});
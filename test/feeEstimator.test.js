@@ -0,0 +1,91 @@
+require('./helpers/quietLogs');
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { BLOCK_VSIZE, FEE_TARGETS, estimateFeeRate, estimateFees } = require('../services/feeEstimator');
+const BitcoinDataService = require('../services/bitcoinDataService');
+const BitcoinCoreProvider = require('../services/providers/bitcoinCoreProvider');
+const EsploraProvider = require('../services/providers/esploraProvider');
+
+// Highest rate first, as providers report it
+const HISTOGRAM = [
+  { feeRate: 50.04, vsize: 600000 },
+  { feeRate: 20, vsize: 600000 },
+  { feeRate: 8.5, vsize: 1800000 },
+  { feeRate: 2, vsize: 3000000 }
+];
+
+// An Esplora provider answering /mempool with the given body, without a network
+function esploraWith(name, mempool) {
+  const provider = new EsploraProvider({ name, baseURL: 'http://127.0.0.1:1' });
+  provider.http = { get: async () => ({ data: mempool }) };
+  return provider;
+}
+
+describe('feeEstimator', () => {
+  test('the rate is where the vsize ahead fills the target blocks', () => {
+    // 600k + 600k reaches one block inside the 20 sat/vB band
+    assert.equal(estimateFeeRate(HISTOGRAM, 1), 20);
+    // Three blocks are filled inside the 8.5 band
+    assert.equal(estimateFeeRate(HISTOGRAM, 3), 8.5);
+    assert.equal(estimateFeeRate(HISTOGRAM, 6), 2);
+  });
+
+  test('rates round up to a tenth of a sat/vB', () => {
+    assert.equal(estimateFeeRate([{ feeRate: 50.04, vsize: BLOCK_VSIZE }], 1), 50.1);
+  });
+
+  test('a mempool that clears in time needs only the minimum relay rate', () => {
+    assert.equal(estimateFeeRate(HISTOGRAM, 144), 1);
+    assert.equal(estimateFeeRate([{ feeRate: 0.5, vsize: 2 * BLOCK_VSIZE }], 1), 1);
+  });
+
+  test('an empty histogram gives the minimum rate for every target', () => {
+    const fees = estimateFees({ vsize: 0, feeHistogram: [], provider: 'esplora', timestamp: 'now' });
+
+    assert.deepEqual(fees.estimates.map(estimate => estimate.feeRate), FEE_TARGETS.map(() => 1));
+    assert.equal(fees.blocksToClear, 0);
+  });
+
+  test('estimateFees reports each target with the backlog and its source', () => {
+    const fees = estimateFees({ vsize: 6000000, feeHistogram: HISTOGRAM, provider: 'mempool.space', timestamp: 'now' }, [1, 6]);
+
+    assert.deepEqual(fees, {
+      estimates: [
+        { target: 1, minutes: 10, feeRate: 20 },
+        { target: 6, minutes: 60, feeRate: 2 }
+      ],
+      mempoolVsize: 6000000,
+      blocksToClear: 6,
+      provider: 'mempool.space',
+      timestamp: 'now'
+    });
+  });
+});
+
+describe('BitcoinDataService.getFeeHistogramData', () => {
+  const histogramBody = { count: 10, vsize: 6000000, total_fee: 1000, fee_histogram: HISTOGRAM.map(({ feeRate, vsize }) => [feeRate, vsize]) };
+
+  test('comes from the first provider with a histogram, skipping Bitcoin Core', async () => {
+    const service = new BitcoinDataService([
+      new BitcoinCoreProvider({ baseURL: 'http://127.0.0.1:1' }),
+      esploraWith('no-histogram', { count: 10, vsize: 6000000, total_fee: 1000 }),
+      esploraWith('esplora', histogramBody)
+    ]);
+
+    const data = await service.getFeeHistogramData();
+
+    assert.equal(data.provider, 'esplora');
+    assert.equal(data.vsize, 6000000);
+    assert.deepEqual(data.feeHistogram, HISTOGRAM);
+  });
+
+  test('fails naming the providers when none has a histogram', async () => {
+    const service = new BitcoinDataService([
+      new BitcoinCoreProvider({ baseURL: 'http://127.0.0.1:1' }),
+      esploraWith('esplora', { count: 10, vsize: 6000000, total_fee: 1000 })
+    ]);
+
+    await assert.rejects(service.getFeeHistogramData(), /No data provider could report a fee histogram \(bitcoin-core, esplora\)/);
+  });
+});
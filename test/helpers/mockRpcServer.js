@@ -0,0 +1,56 @@
+const http = require('http');
+
+/**
+ * A local stand-in for bitcoind's JSON-RPC interface.
+ *
+ * methods maps an RPC method name to a function of its params returning the
+ * result; it may return a promise, or throw { code, message } to send an RPC
+ * error. Batches are answered as bitcoind does: an array of replies, each
+ * with its own result or error. Every request is kept in `requests` with its
+ * Authorization header, so tests can check what was called and how.
+ */
+async function startMockRpcServer(methods) {
+  const requests = [];
+
+  async function reply({ id, method, params = [] }) {
+    if (!methods[method]) {
+      return { id, result: null, error: { code: -32601, message: 'Method not found' } };
+    }
+
+    try {
+      return { id, result: await methods[method](...params), error: null };
+    } catch (error) {
+      return { id, result: null, error: { code: error.code || -1, message: error.message } };
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', async () => {
+      const payload = JSON.parse(body);
+      const calls = Array.isArray(payload) ? payload : [payload];
+      requests.push({ authorization: req.headers.authorization || null, calls });
+
+      const replies = await Promise.all(calls.map(reply));
+      const single = !Array.isArray(payload);
+
+      // A failed single call comes back with HTTP 500, as bitcoind sends it
+      res.statusCode = single && replies[0].error ? 500 : 200;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(single ? replies[0] : replies));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startMockRpcServer };
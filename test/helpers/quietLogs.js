@@ -0,0 +1,4 @@
+// Required first by each test file: settings are read once, on first
+// require, so these have to be set before anything loads them
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
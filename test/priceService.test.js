@@ -0,0 +1,130 @@
+require('./helpers/quietLogs');
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const PriceService = require('../services/priceService');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const point = (timestamp, value) => ({ timestamp, value });
+
+// Stands in for HistoryStore: snapshots as { timestamp, [metric]: value }
+function fakeHistoryStore(snapshots) {
+  return {
+    query(metric, from) {
+      const fromTime = from ? Date.parse(from) : 0;
+      return snapshots
+        .filter(snapshot => Date.parse(snapshot.timestamp) >= fromTime && typeof snapshot[metric] === 'number')
+        .map(snapshot => ({ timestamp: snapshot.timestamp, value: snapshot[metric] }));
+    }
+  };
+}
+
+describe('PriceService.buildCandles', () => {
+  const { buildCandles } = PriceService;
+
+  test('groups points into open, high, low and close per interval', () => {
+    const candles = buildCandles([
+      point('2026-01-01T00:00:00.000Z', 100),
+      point('2026-01-01T00:20:00.000Z', 130),
+      point('2026-01-01T00:40:00.000Z', 90),
+      point('2026-01-01T00:50:00.000Z', 110)
+    ], HOUR);
+
+    assert.deepEqual(candles, [
+      { time: '2026-01-01T00:00:00.000Z', open: 100, high: 130, low: 90, close: 110, samples: 4 }
+    ]);
+  });
+
+  test('a point on a bucket edge opens the next candle', () => {
+    const candles = buildCandles([
+      point('2026-01-01T00:59:59.999Z', 100),
+      point('2026-01-01T01:00:00.000Z', 105)
+    ], HOUR);
+
+    assert.deepEqual(candles.map(candle => [candle.time, candle.open, candle.close]), [
+      ['2026-01-01T00:00:00.000Z', 100, 100],
+      ['2026-01-01T01:00:00.000Z', 105, 105]
+    ]);
+  });
+
+  test('intervals without a point are left out', () => {
+    const candles = buildCandles([
+      point('2026-01-01T00:10:00.000Z', 100),
+      point('2026-01-01T03:10:00.000Z', 120)
+    ], HOUR);
+
+    assert.deepEqual(candles.map(candle => candle.time), ['2026-01-01T00:00:00.000Z', '2026-01-01T03:00:00.000Z']);
+  });
+
+  test('4h and daily candles are aligned to UTC', () => {
+    const points = [
+      point('2026-01-01T23:30:00.000Z', 100),
+      point('2026-01-02T00:30:00.000Z', 110),
+      point('2026-01-02T05:00:00.000Z', 120)
+    ];
+
+    assert.deepEqual(buildCandles(points, 4 * HOUR).map(candle => candle.time), [
+      '2026-01-01T20:00:00.000Z',
+      '2026-01-02T00:00:00.000Z',
+      '2026-01-02T04:00:00.000Z'
+    ]);
+    assert.deepEqual(buildCandles(points, DAY).map(candle => [candle.time, candle.samples]), [
+      ['2026-01-01T00:00:00.000Z', 1],
+      ['2026-01-02T00:00:00.000Z', 2]
+    ]);
+  });
+
+  test('no points, no candles', () => {
+    assert.deepEqual(buildCandles([], HOUR), []);
+  });
+});
+
+describe('PriceService', () => {
+  const recent = offset => new Date(Date.now() - offset).toISOString();
+
+  test('history reads the requested currency\'s own recorded prices', () => {
+    const service = new PriceService({
+      historyStore: fakeHistoryStore([
+        { timestamp: recent(2 * HOUR), priceUSD: 100000, priceEUR: 90000 },
+        { timestamp: recent(10 * 60 * 1000), priceUSD: 101000, priceEUR: 92000 }
+      ])
+    });
+
+    const history = service.buildHistory('eur', '24h', '1d');
+
+    assert.equal(history.currency, 'EUR');
+    assert.equal(history.candles.reduce((sum, candle) => sum + candle.samples, 0), 2);
+    assert.equal(history.candles[history.candles.length - 1].close, 92000);
+    assert.equal(history.stale, false);
+  });
+
+  test('history is stale without recent snapshots', () => {
+    const service = new PriceService({
+      historyStore: fakeHistoryStore([{ timestamp: recent(3 * DAY), priceUSD: 100000 }])
+    });
+
+    assert.equal(service.buildHistory('usd', '7d', '1h').stale, true);
+    assert.deepEqual(service.buildHistory('usd', '24h', '1h').candles, []);
+    assert.equal(service.buildHistory('usd', '24h', '1h').lastUpdated, null);
+  });
+
+  test('the last recorded price stands in when every source fails', async () => {
+    const service = new PriceService({
+      historyStore: fakeHistoryStore([{ timestamp: recent(HOUR), priceJPY: 15000000 }]),
+      getCachedData: async () => {
+        throw new Error('All providers failed');
+      }
+    });
+
+    const { body, entry } = await service.getPrice('jpy');
+
+    assert.equal(entry, null);
+    assert.equal(body.currency, 'JPY');
+    assert.equal(body.current, 15000000);
+    assert.equal(body.provider, 'history-store');
+    assert.equal(body.stale, true);
+    await assert.rejects(service.getPrice('chf'), /All providers failed/);
+  });
+});
@@ -0,0 +1,55 @@
+require('./helpers/quietLogs');
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../services/rateLimiter');
+
+describe('RateLimiter', () => {
+  const limiter = new RateLimiter({
+    tiers: {
+      anonymous: { limit: 2, dailyQuota: 0 },
+      keyed: { limit: 60, dailyQuota: 3 }
+    }
+  });
+
+  after(() => limiter.stop());
+
+  test('a full bucket allows a burst, then refills at the limit per minute', () => {
+    const policy = limiter.getPolicy('anonymous');
+
+    assert.equal(limiter.consume('burst', policy, 0).allowed, true);
+    assert.equal(limiter.consume('burst', policy, 0).allowed, true);
+
+    const refused = limiter.consume('burst', policy, 0);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.reason, 'rate');
+    assert.equal(refused.retryAfter, 30);
+
+    assert.equal(limiter.consume('burst', policy, 30 * 1000).allowed, true);
+  });
+
+  test('the daily quota runs out until the next UTC day', () => {
+    const policy = limiter.getPolicy('keyed');
+
+    for (let i = 0; i < 3; i++) limiter.consume('quota', policy, 0);
+    const refused = limiter.consume('quota', policy, 0);
+
+    assert.equal(refused.reason, 'quota');
+    assert.equal(refused.retryAfter, 24 * 60 * 60);
+  });
+
+  test('per-key overrides below 1 are treated as 1', () => {
+    assert.equal(limiter.getPolicy('keyed', { rateLimit: 0 }).limit, 1);
+  });
+
+  test('a zero limit still gives finite retry and reset times', () => {
+    const policy = { limit: 0, dailyQuota: 0 };
+
+    limiter.consume('zero', policy, 0);
+    const refused = limiter.consume('zero', policy, 0);
+
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.retryAfter, 60);
+    assert.equal(refused.reset, 60);
+  });
+});
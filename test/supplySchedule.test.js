@@ -0,0 +1,70 @@
+require('./helpers/quietLogs');
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const supplySchedule = require('../public/supplySchedule');
+
+const { HALVING_INTERVAL } = supplySchedule;
+
+describe('supplySchedule', () => {
+  test('subsidies halve by right shift at each era boundary', () => {
+    assert.equal(supplySchedule.getBlockSubsidySats(0), 5000000000n);
+    assert.equal(supplySchedule.getBlockSubsidySats(HALVING_INTERVAL - 1), 5000000000n);
+    assert.equal(supplySchedule.getBlockSubsidySats(HALVING_INTERVAL), 2500000000n);
+    assert.equal(supplySchedule.getBlockSubsidySats(4 * HALVING_INTERVAL - 1), 625000000n);
+    assert.equal(supplySchedule.getBlockSubsidySats(4 * HALVING_INTERVAL), 312500000n);
+    assert.equal(supplySchedule.getBlockSubsidy(4 * HALVING_INTERVAL), 3.125);
+  });
+
+  test('odd subsidies are truncated, not rounded', () => {
+    // 5000000000 >> 10 = 4882812.5
+    assert.equal(supplySchedule.getBlockSubsidySats(10 * HALVING_INTERVAL), 4882812n);
+  });
+
+  test('the last era pays a single satoshi and the next pays nothing', () => {
+    assert.equal(supplySchedule.LAST_SUBSIDY_HEIGHT, 33 * HALVING_INTERVAL - 1);
+    assert.equal(supplySchedule.getBlockSubsidySats(supplySchedule.LAST_SUBSIDY_HEIGHT), 1n);
+    assert.equal(supplySchedule.getBlockSubsidySats(supplySchedule.LAST_SUBSIDY_HEIGHT + 1), 0n);
+    assert.equal(supplySchedule.getBlockSubsidySats(64 * HALVING_INTERVAL), 0n);
+
+    const eras = supplySchedule.getEraTable();
+    assert.equal(eras.length, 33);
+    assert.equal(eras[32].subsidySats, 1);
+  });
+
+  test('issuance ends at the real cap, just under 21 million', () => {
+    assert.equal(supplySchedule.MAX_SUPPLY_SATS, 2099999997690000);
+    assert.equal(supplySchedule.MAX_SUPPLY, 20999999.9769);
+    assert.equal(supplySchedule.getIssuedSatsAtHeight(supplySchedule.LAST_SUBSIDY_HEIGHT), 2099999997690000n);
+    assert.equal(supplySchedule.getIssuedSatsAtHeight(100 * HALVING_INTERVAL), 2099999997690000n);
+  });
+
+  test('issuance counts blocks 0 through height inclusive', () => {
+    assert.equal(supplySchedule.getIssuedSatsAtHeight(0), 5000000000n);
+    assert.equal(supplySchedule.getIssuedSatsAtHeight(HALVING_INTERVAL - 1), 1050000000000000n);
+    assert.equal(supplySchedule.getIssuedSatsAtHeight(HALVING_INTERVAL), 1050002500000000n);
+    assert.equal(supplySchedule.getIssuedAtHeight(4 * HALVING_INTERVAL - 1), 19687500);
+  });
+
+  test('the next halving is the first height of the next era', () => {
+    assert.equal(supplySchedule.getNextHalvingHeight(0), HALVING_INTERVAL);
+    assert.equal(supplySchedule.getNextHalvingHeight(HALVING_INTERVAL - 1), HALVING_INTERVAL);
+    assert.equal(supplySchedule.getNextHalvingHeight(HALVING_INTERVAL), 2 * HALVING_INTERVAL);
+  });
+
+  test('getSupplySchedule describes the tip', () => {
+    const schedule = supplySchedule.getSupplySchedule(4 * HALVING_INTERVAL);
+
+    assert.equal(schedule.currentEra, 4);
+    assert.equal(schedule.currentSubsidy, 3.125);
+    assert.equal(schedule.nextHalvingHeight, 5 * HALVING_INTERVAL);
+    assert.equal(schedule.nextSubsidy, 1.5625);
+    assert.equal(schedule.issuedSats + Math.round(schedule.remaining * 1e8), supplySchedule.MAX_SUPPLY_SATS);
+    assert.equal(schedule.blocksUntilLastSubsidy, supplySchedule.LAST_SUBSIDY_HEIGHT - 4 * HALVING_INTERVAL);
+  });
+
+  test('heights must be non-negative integers', () => {
+    assert.throws(() => supplySchedule.getBlockSubsidySats(-1), RangeError);
+    assert.throws(() => supplySchedule.getIssuedSatsAtHeight(1.5), RangeError);
+  });
+});